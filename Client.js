@@ -7,7 +7,7 @@
 * it will try to reconnect. Until it fails several times.
 *
 */
-var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
+var WebSocketRouter = function WebSocketRouter(connection_query, ctx, options) {
 
     //
     var BEFORE = 'BEFORE';
@@ -15,15 +15,44 @@ var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
     //
     var AFTER = 'AFTER;';
 
+    // Routes starting with $ are reserved to the connection lifecycle,
+    // They are only dispatched locally and never received from the peer
+    var RESERVED = /^\$/;
+
+    // Route used by the heartbeat to PING the peer, which answers PONG
+    var HEARTBEAT = '/socket/heartbeat';
+
+    // Route used to negotiate the codec of the connection
+    var CODEC = '/socket/codec';
+
+    // Route used to acknowledge the messages sent with ack
+    var ACK = '/socket/ack';
+
+    // Route used by the client to authenticate the connection
+    var AUTH = '/socket/auth';
+
+    // Keywords of the JSON Schemas supported by validate, the
+    // Schemas using any other keyword are refused
+    var SCHEMA_KEYWORDS = ['type', 'enum', 'const', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'items', 'minItems', 'maxItems', 'uniqueItems', 'required', 'properties', 'patternProperties', 'additionalProperties', 'minProperties', 'maxProperties', 'allOf', 'anyOf', 'oneOf', 'not', 'title', 'description', 'default', 'examples', '$schema', '$id', '$comment'];
+
+    // Route used by the caller of a streamed request to
+    // Ask for more chunks or to cancel the stream
+    var STREAM = '/socket/stream';
+
     /*
     * @name Connection Handler
     *
     * The connection handler will keep the connection with the server
     * Established. If the connection is closed the connection handler will
-    * attempt to connect up to a maximum o 10 retries.
+    * attempt to reconnect following the retry policy, waiting twice as long
+    * after every failed attempt.
     * Connection handler will also keep a connection queue in which
     * messages delivered while the connection was closed, closing or opening
     * will be re-sent as soon as the connection is ready.
+    * The connection lifecycle is reported through on_message with the
+    * $state, $open, $close, $error, $reconnect, $reconnecting, $reconnected
+    * and $gaveUp routes, and the authentication through the $authenticated
+    * and $unauthenticated routes.
     *
     * @constructor
     * @param {String} connection_query
@@ -31,10 +60,35 @@ var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
     * @param {Function} on_message
     *   Defines the callback function that will be exectued every time
     *   a new message is received from the server
+    * @param {{
+    *   retry: {{
+    *     maxAttempts: {Number},
+    *     baseDelay: {Number},
+    *     maxDelay: {Number},
+    *     jitter: {Number}
+    *   }},
+    *   outbox: {Object},
+    *   heartbeat: {{
+    *     interval: {Number},
+    *     timeout: {Number},
+    *     maxMissed: {Number}
+    *   }},
+    *   codec: {String|Object},
+    *   auth: {Object|Function}
+    * }} options
+    *   Defines the retry policy, the outbox (see Outbox), the heartbeat, the
+    *   codec (see WebSocketRouter.codecs) negotiated on every connection and
+    *   the credentials sent to authenticate it.
+    *   The heartbeat sends a PING every interval (30000 ms by default) and
+    *   reconnects when maxMissed (2) PONGs do not arrive before the
+    *   timeout (10000 ms). maxAttempts
+    *   (10 by default) can be Infinity to never give up, baseDelay (1000 ms)
+    *   is the wait before the first retry, maxDelay (30000 ms) caps the wait
+    *   and jitter (0.5) is the fraction of the wait that is randomly taken off.
     * @return {ConnectionHandler}
     *
     */
-    function ConnectionHandler(connection_query, on_message) {
+    function ConnectionHandler(connection_query, on_message, options) {
 
         // Connection query could be used to re-establish
         // The connection in case is lots
@@ -48,12 +102,59 @@ var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
         // was established
         // Also, if the connection is closed, the WS, will Hold
         // the message and try to reconnect to send it
-        this.messageQueue = [];
+        this.messageQueue = new Outbox(options && options.outbox, this.error.bind(this));
+
+        // The flush reading the queue, the messages sent
+        // Meanwhile are held in the queue after the others
+        this.flushing = null;
+        this.held = false;
 
         // Connection retry will hold the attempts
-        // Before giviging up 10 retries
+        // Before giviging up
         this.connectionsAttemp = 0;
 
+        // Retry policy used to wait between attempts
+        this.retry = Object.assign({
+            maxAttempts: 10,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            jitter: 0.5
+        }, options && options.retry);
+
+        // Will be true while the connection is beeing re-established
+        this.reconnecting = false;
+
+        // Current state of the connection: connecting, open,
+        // reconnecting or closed
+        this.state = undefined;
+
+        // Heartbeat used to detect dead connections, disabled by default
+        this.heartbeat = options && options.heartbeat ? Object.assign({
+            interval: 30000,
+            timeout: 10000,
+            maxMissed: 2
+        }, options.heartbeat) : null;
+
+        // PONGs not received in time since the last one
+        this.missedBeats = 0;
+
+        // Time in ms that the last PING took to be answered
+        this.latency = undefined;
+
+        // Codec requested to the server, by name or as a codec object
+        this.preferredCodec = typeof (options && options.codec) == 'string' ? WebSocketRouter.codecs[options.codec] : options && options.codec || WebSocketRouter.codecs.json;
+
+        // Codec in use, JSON until the server accepts the preferred one
+        this.codec = WebSocketRouter.codecs.json;
+
+        // Credentials sent to the server whenever the connection is open,
+        // Or a function returning them (or a promise of them)
+        this.auth = options && options.auth;
+
+        // Whether the server accepted the credentials of the current
+        // Connection, messages are kept in the outbox until then
+        this.authenticated = false;
+
         // Attemp to connect for the first time
         this.connect();
     }
@@ -74,18 +175,34 @@ var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
         // That a connection has been alread tried
         this.connectionsAttemp++;
 
+        if (this.reconnecting) {
+            this.on_message({ route: '$reconnect', data: { attempt: this.connectionsAttemp } });
+        } else {
+            this.setState('connecting');
+        }
+
         // The connection is established using WebSocket
         // If the connection is closed, the Handler will try
         // To reconnect
         this.connection = new WebSocket(this.connection_query);
 
+        // Binary codecs decode ArrayBuffers, and every
+        // New connection starts with JSON
+        this.connection.binaryType = 'arraybuffer';
+        this.codec = WebSocketRouter.codecs.json;
+        this.authenticated = false;
+
         // Whenever the new connection is open, the connection
         // Handler will flush the messageQueue
-        this.connection.onopen = this.flush.bind(this);
+        this.connection.onopen = this.open.bind(this);
 
         // Whenever the connection is closed, the WS
-        // Will try to reconnect up to 10 times.
-        this.connection.onclose = this.reconnect.bind(this);
+        // Will try to reconnect following the retry policy.
+        this.connection.onclose = this.close.bind(this);
+
+        // Errors are dispatched, the close that follows
+        // Them will take care of reconnecting
+        this.connection.onerror = this.error.bind(this);
 
         // Connection on-message will dispatch all received
         // Messages to the wrapper class. Messages will be dispatched
@@ -103,673 +220,4299 @@ var WebSocketRouter = function WebSocketRouter(connection_query, ctx) {
     *
     */
     ConnectionHandler.prototype.dispatch = function (message) {
-        this.on_message(JSON.parse(message.data));
-    };
+        var data;
 
-    /*
-    * @name Reconnect
-    *
-    * Attempts to reconnect to the server up to ten 10 times.
-    * Logs an error if the maximum retry limit is reached.
-    *
-    * @function
-    * @return {None}
-    *
-    */
-    ConnectionHandler.prototype.reconnect = function () {
+        // Messages that can not be decoded, or whose envelope is
+        // Not valid, are dispatched on $error instead
+        try {
+            data = this.decode(message.data);
+            this.validateEnvelope(data);
+        } catch (err) {
+            return this.error(err);
+        }
 
-        // If 10 attempts reached, web-socket-router will assume that
-        // the server is permanently down
-        if (this.connectionsAttemp < 10) {
+        if (data.route == HEARTBEAT) return this.pulse(data);
 
-            // Waits for a second to make sure that,
-            // if the server was down for a moment, the connecction wont fail
-            setTimeout(this.connect.bind(this), 1000);
-        } else {
-            console.log('10 Attemps to connect failed to the server ' + this.connection_query + '. Is server up?');
+        // The server accepted the preferred codec
+        if (data.route == CODEC) {
+            if (data.data && data.data.codec == this.preferredCodec.name) this.codec = this.preferredCodec;
+
+            return;
+        }
+
+        // The server checked the credentials, the messages waiting
+        // For them are sent once accepted
+        if (data.route == AUTH) {
+            if (data.error) return this.on_message({ route: '$unauthenticated', data: data.error });
+
+            this.authenticated = true;
+            this.on_message({ route: '$authenticated', data: data.data });
+
+            return this.flush();
         }
+
+        if (!RESERVED.test(data.route)) this.on_message(data);
     };
 
     /*
-    * @name Flush
+    * @name Open
     *
-    * Execute all messages in the Message Queue
+    * Resets the attempts, dispatchs $open (and $reconnected when the
+    * connection was re-established) and flushes the message queue, once
+    * the credentials are accepted when the connection has them
     *
     * @function
     * @return {None}
     *
     */
-    ConnectionHandler.prototype.flush = function () {
+    ConnectionHandler.prototype.open = function () {
 
         // Reset the connections attempt since the connection,
         // Has been stablished sucesfully
+        var attempts = this.connectionsAttemp;
         this.connectionsAttemp = 0;
 
-        // Execute all queued messages
-        var _iteratorNormalCompletion = true;
-        var _didIteratorError = false;
-        var _iteratorError = undefined;
+        // Asks the server to switch to the preferred codec, messages
+        // Are sent as JSON until it accepts
+        if (this.preferredCodec !== this.codec) {
+            this.sendRaw({ route: CODEC, data: { codecs: [this.preferredCodec.name] } });
+        }
 
-        try {
-            for (var _iterator = this.messageQueue[Symbol.iterator](), _step; !(_iteratorNormalCompletion = (_step = _iterator.next()).done); _iteratorNormalCompletion = true) {
-                var message = _step.value;
+        // The credentials are sent before any other message, the
+        // Server holds the rest until it has checked them
+        if (this.auth) this.authenticate();
 
-                this.send(message);
-            }
+        this.setState('open');
+        this.on_message({ route: '$open' });
 
-            // Empty the message Queue could provoke an issue when The
-            // messages beeing flushed are producing erros that push them back
-            // To the queue. Messages could be lost
-        } catch (err) {
-            _didIteratorError = true;
-            _iteratorError = err;
-        } finally {
-            try {
-                if (!_iteratorNormalCompletion && _iterator.return) {
-                    _iterator.return();
-                }
-            } finally {
-                if (_didIteratorError) {
-                    throw _iteratorError;
-                }
-            }
+        if (this.reconnecting) {
+            this.reconnecting = false;
+            this.on_message({ route: '$reconnected', data: { attempts: attempts } });
         }
 
-        this.messageQueue = [];
+        this.startHeartbeat();
+
+        if (this.ready()) this.flush();
     };
 
     /*
-    * @name Send
+    * @name Ready
     *
-    * Sends the object as a stringified message to the server
-    * If the connection fails, stores the message in the message Queue
+    * Whether the messages can be sent: the connection is open and its
+    * credentials, if any, were accepted
     *
     * @function
-    * @param {Object}
-    *   Object containing all the data that will be sent to the server
-    * @return {None}
+    * @return {Boolean}
     *
     */
-    ConnectionHandler.prototype.send = function (message) {
-        try {
-            this.connection.send(JSON.stringify(message));
-        } catch (err) {
-            this.messageQueue.push(message);
-        }
+    ConnectionHandler.prototype.ready = function () {
+        return this.state == 'open' && (!this.auth || this.authenticated);
     };
 
     /*
-    * @name Close
+    * @name Authenticate
     *
-    * Closes the connection and clears all data related to the object
+    * Sends the credentials to the server. When they are returned by a
+    * function it is called on every connection, so they can be renewed,
+    * and they are not sent if the connection changed meanwhile
     *
     * @function
     * @return {None}
     *
     */
-    Router.prototype.close = function () {
-        this.messageQueue = [];
+    ConnectionHandler.prototype.authenticate = function () {
+        var self = this;
+        var connection = this.connection;
+        var credentials = typeof this.auth == 'function' ? this.auth() : this.auth;
 
-        if (this.connection.readyState == 1) {
-            this.connection.close();
-        } else {
-            this.connection.onopen = function () {
-                this.connection.close();
-            };
+        if (!credentials || typeof credentials.then != 'function') {
+            return this.sendRaw({ route: AUTH, data: credentials });
         }
+
+        credentials.then(function (credentials) {
+            if (self.connection === connection) self.sendRaw({ route: AUTH, data: credentials });
+        }, function (err) {
+            self.on_message({ route: '$unauthenticated', data: { code: 'UNAUTHENTICATED', message: err && err.message } });
+        });
     };
 
     /*
-    * @name Router
+    * @name Close
     *
-    * Implements a routifier which lets you define URL to your handlers
-    * The URLs will respond to methods and chainable, meaning that a chai
-    * of responsability (by the given order) will be respected.
-    * If one of the handlers, fails, it will break the chain.
-    * Optionally, actions (in a similar fashion to REST) can be defined,
-    * also filters.
-    * You can attach hooks to your url handlers which will let you prepare your
-    * data or scenario before executing a particular task or set of tasks
+    * Dispatchs $close with the code and reason of the closed connection
+    * and tries to reconnect
     *
-    * @constructor
-    * @param {String} connection_query
-    *   Defines the FQDM to connect to (eg: ws(s)://localhost:8080)
-    * @param {*} ctx
-    *   Defines the root context to which all the Handlers will be attached by
-    *   default, if no other handler is specified
-    * @return {Router}
+    * @function
+    * @param {CloseEvent} event
+    * @return {None}
     *
     */
-    function Router(connection_query, ctx) {
-
-        this.action = {
-            UPDATE: 'UPDATE',
-            DELETE: 'DELETE',
-            CREATE: 'CREATE',
-            SUBSCRIBE: 'SUBSCRIBE',
-            REQUEST: 'REQUEST'
-        };
-
-        //Due to several version of the router beeing used on different places of the application
-        this.version = '1.3.2';
-
-        //
-        this.events = [];
-
-        //
-        this.lastEvents = [];
-
-        //
-        this.registeredTasks = [];
-
-        // Will manage all connection-related aspects
-        // Of the WebSocket
-        this.connection = new ConnectionHandler(connection_query, this.dispatch.bind(this));
-    }
+    ConnectionHandler.prototype.close = function (event) {
+        this.stopHeartbeat();
+        this.on_message({ route: '$close', data: { code: event && event.code, reason: event && event.reason } });
+        this.reconnect();
+    };
 
     /*
-    * @name Send
+    * @name Drop
     *
-    * Executes the current message, and the BEFORE and AFTER hooks
+    * Gives up on a connection that stopped answering the heartbeat. The
+    * socket is closed without waiting for the peer and the connection
+    * handler reconnects right away
     *
     * @function
-    * @param {Object} message
-    *   Object message to be sent to the server
     * @return {None}
     *
     */
-    Router.prototype.send = function (message) {
+    ConnectionHandler.prototype.drop = function () {
+        var connection = this.connection;
+
+        connection.onopen = connection.onclose = connection.onerror = connection.onmessage = null;
+
         try {
-            this.executeTaks(message, BEFORE);
-            this.connection.send(message);
-            this.executeTaks(message, AFTER);
-        } catch (err) {
-            console.log(err);
-        }
+            connection.close();
+        } catch (err) {}
+
+        this.close({ code: 4000, reason: 'Heartbeat timeout' });
     };
 
     /*
-    * @name Exception Handler
+    * @name Send Heartbeat
     *
-    * Receives an error and returns a message ready to be
-    * delivered to the client.
+    * Sends a PING or PONG right away, heartbeats are never queued (Not intended for public use)
     *
     * @function
-    * @param {Error} error
-    *   Object message to be sent to the server
+    * @param {String} action
+    * @param {Object} data
     * @return {None}
     *
     */
-    Router.prototype.ExceptionHandler = function (error) {
-        return {
-            'message': error.stack
-        };
+    ConnectionHandler.prototype.sendHeartbeat = function (action, data) {
+        this.sendRaw({ route: HEARTBEAT, action: action, data: data });
     };
 
     /*
-    * @name On
-    *
-    * Receives a route and a callback and returns a builder object
-    * that will let you define, chainable, action, filters, bind and executeLast,
-    * properties.
+    * @name Send Raw
     *
-    * action - receives a constante (or value) and filter also by defined
-    *          action in the server.
+    * Sends a message right away, without queueing it if it fails (Not intended for public use)
     *
-    * filters - receives an object and filter also by key-values defined in the
-    *           filters, and also present in the received message.
+    * @function
+    * @param {Object} message
+    * @return {None}
     *
-    * bind - Receives any object and binds the callback to the specified context.
+    */
+    ConnectionHandler.prototype.sendRaw = function (message) {
+        try {
+            this.connection.send(this.codec.encode(message));
+        } catch (err) {}
+    };
+
+    /*
+    * @name Decode
     *
-    * executeLast - will push this callback to the end of the event queue, beeing
-    *               making it the last in the chain of responsability.
+    * Decodes a frame. Text frames are decoded as JSON while a binary codec
+    * is beeing negotiated, binary frames with the preferred codec (Not intended for public use)
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @param {String|ArrayBuffer} frame
+    * @return {Object}
     *
     */
-    Router.prototype.on = function (n, fn) {
-        var event = { n: this.routify(n), fn: fn, action: "*" };
-        this.events.push(event);
-
-        return new function () {
-            this.action = function (ACTION) {
-                if (ACTION) event.action = ACTION;
+    ConnectionHandler.prototype.decode = function (frame) {
+        var codec = this.codec;
 
-                return this;
-            };
-
-            this.filters = function (filters) {
-                if (filters) event.filters = filters;
-
-                return this;
-            };
-
-            this.bind = function (bind) {
-                if (bind) event.bind = bind;
-
-                return this;
-            };
+        if (typeof frame == 'string' && codec.binary) codec = WebSocketRouter.codecs.json;
+        if (typeof frame != 'string' && !codec.binary) codec = this.preferredCodec;
 
-            this.executeLast = function () {
-                lastEvents.push(events[events.indexOf(event)]);
-                delete events[events.indexOf(event)];
-                events.length = events.length - 1;
-            };
-        }();
+        return codec.decode(frame);
     };
 
     /*
-    * @name Delete
+    * @name Validate Envelope
     *
-    * Receives a route, a callback and filters, creates a new listener for
-    * those criterias and the DELETE action
+    * Throws when a message is not an object with a string route, an
+    * optional string action, optional string or number id and replyTo,
+    * an optional boolean ack, and optional non-negative integer credit
+    * and seq (Not intended for public use)
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @param {Object} filters
-    *   Object used to match parameters in the body and filter messages.
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @param {Object} data
+    * @return {None}
     *
     */
-    Router.prototype.delete = function (n, fn, filters) {
-        return this.on(n, fn).action(this.action.DELETE).filters(filters);
+    ConnectionHandler.prototype.validateEnvelope = function (data) {
+        var invalid = function (message) {
+            throw Object.assign(new Error('Invalid message: ' + message), { code: 'INVALID_ENVELOPE' });
+        };
+
+        var optional = function (value, types) {
+            return value === undefined || types.indexOf(typeof value) > -1;
+        };
+
+        var count = function (value) {
+            return value === undefined || typeof value == 'number' && value >= 0 && value % 1 === 0;
+        };
+
+        if (!data || typeof data != 'object' || Array.isArray(data)) invalid('should be an object');
+        if (typeof data.route != 'string') invalid('route should be a string');
+        if (!optional(data.action, ['string'])) invalid('action should be a string');
+        if (!optional(data.id, ['string', 'number'])) invalid('id should be a string or a number');
+        if (!optional(data.replyTo, ['string', 'number'])) invalid('replyTo should be a string or a number');
+        if (!optional(data.ack, ['boolean'])) invalid('ack should be a boolean');
+        if (!count(data.credit)) invalid('credit should be a non-negative integer');
+        if (!count(data.seq)) invalid('seq should be a non-negative integer');
     };
 
     /*
-    * @name Update
+    * @name Start Heartbeat
     *
-    * Receives a route, a callback and filters, creates a new listener for
-    * those criterias and the UPDATE action
+    * Sends a PING to the peer every interval, when the heartbeat is enabled
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @param {Object} filters
-    *   Object used to match parameters in the body and filter messages.
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @return {None}
     *
     */
-    Router.prototype.update = function (n, fn, filters) {
-        return this.on(n, fn).action(this.action.UPDATE).filters(filters);
+    ConnectionHandler.prototype.startHeartbeat = function () {
+        if (!this.heartbeat) return;
+
+        this.stopHeartbeat();
+        this.missedBeats = 0;
+        this.heartbeatTimer = setInterval(this.beat.bind(this), this.heartbeat.interval);
     };
 
     /*
-    * @name Create
+    * @name Stop Heartbeat
     *
-    * Receives a route, a callback and filters, creates a new listener for
-    * those criterias and the CREATE action
+    * Stops sending PINGs and waiting for PONGs
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @param {Object} filters
-    *   Object used to match parameters in the body and filter messages.
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @return {None}
     *
     */
-    Router.prototype.create = function (n, fn, filters) {
-        return this.on(n, fn).action(this.action.CREATE).filters(filters);
+    ConnectionHandler.prototype.stopHeartbeat = function () {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.pongTimer);
+        this.pongTimer = null;
     };
 
     /*
-    * @name Request
+    * @name Beat
     *
-    * Receives a route, a callback and filters, creates a new listener for
-    * those criterias and the REQUEST action
+    * Sends a PING and counts a missed beat if the PONG does not arrive
+    * before the timeout. The connection is dropped when the missed beats
+    * reach the maximum (Not intended for public use)
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @param {Object} filters
-    *   Object used to match parameters in the body and filter messages.
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @return {None}
     *
     */
-    Router.prototype.request = function (n, fn, filters) {
-        return this.on(n, fn).action(this.action.REQUEST).filters(filters);
+    ConnectionHandler.prototype.beat = function () {
+        var self = this;
+
+        // Still waiting for the previous PONG
+        if (this.pongTimer) return;
+
+        this.sendHeartbeat('PING', { time: Date.now() });
+
+        this.pongTimer = setTimeout(function () {
+            self.pongTimer = null;
+
+            if (++self.missedBeats >= self.heartbeat.maxMissed) {
+                self.drop();
+            }
+        }, this.heartbeat.timeout);
     };
 
     /*
-    * @name Subscribe
+    * @name Pulse
     *
-    * Receives a route, a callback and filters, creates a new listener for
-    * those criterias and the SUBSCRIBE action
+    * Answers the PINGs of the peer and measures the latency of the PONGs,
+    * dispatching it on $heartbeat (Not intended for public use)
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @param {Object} filters
-    *   Object used to match parameters in the body and filter messages.
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @param {Object} data
+    * @return {None}
     *
     */
-    Router.prototype.subscribe = function (n, fn, filters) {
-        return this.on(n, fn).action(this.action.SUBSCRIBE).filters(filters);
+    ConnectionHandler.prototype.pulse = function (data) {
+        if (data.action == 'PING') {
+            return this.sendHeartbeat('PONG', data.data);
+        }
+
+        if (data.action == 'PONG' && data.data) {
+            clearTimeout(this.pongTimer);
+            this.pongTimer = null;
+            this.missedBeats = 0;
+            this.latency = Date.now() - data.data.time;
+            this.on_message({ route: '$heartbeat', data: { latency: this.latency } });
+        }
     };
 
     /*
-    * @name Intercept
+    * @name Error
     *
-    * Mirros send function. Create for more client legibility and code
-    * Maintanability
+    * Dispatchs $error with the error event of the connection
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
-    * @return {{
-    *   action: {Function} (action),
-    *   filters: {Function} (object),
-    *   bind: {Function} (context),
-    *   executeLast: {Function} ()
-    * }}
+    * @param {Event} event
+    * @return {None}
     *
     */
-    Router.prototype.intercept = function (n, fn) {
-        this.events.push({ n: this.routify(n), fn: fn });
+    ConnectionHandler.prototype.error = function (event) {
+        this.on_message({ route: '$error', data: event });
     };
 
     /*
-    * @name Before Send
+    * @name Set State
     *
-    * Attachs a before send hook to a particular route.
+    * Updates the state of the connection and dispatchs $state
+    * whenever it changes
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
+    * @param {String} state
     * @return {None}
     *
     */
-    Router.prototype.beforeSend = function (route, fn) {
-        this.registerSendTask(route, fn, BEFORE);
+    ConnectionHandler.prototype.setState = function (state) {
+        var previous = this.state;
+
+        if (previous == state) return;
+
+        this.state = state;
+        this.on_message({ route: '$state', data: { state: state, previous: previous } });
     };
 
     /*
-    * @name After Send
+    * @name Reconnect
     *
-    * Attachs a after send hook to a particular route.
+    * Attempts to reconnect to the server up to the maximum attempts of the
+    * retry policy. Dispatchs $reconnecting before every attempt and $gaveUp
+    * if the maximum retry limit is reached.
     *
     * @function
-    * @param {String} name
-    *   Route to match
-    * @param {Function} callback
-    *   Callback to execute whenever the criterias ar meet
     * @return {None}
     *
     */
-    Router.prototype.afterSend = function (route, fn) {
-        this.registerSendTask(route, fn, AFTER);
+    ConnectionHandler.prototype.reconnect = function () {
+
+        // If the maximum attempts are reached, web-socket-router will assume
+        // that the server is permanently down
+        if (this.connectionsAttemp < this.retry.maxAttempts) {
+            var delay = this.delay();
+
+            this.reconnecting = true;
+            this.setState('reconnecting');
+            this.on_message({ route: '$reconnecting', data: { attempt: this.connectionsAttemp + 1, delay: delay } });
+
+            // Waits to make sure that, if the server was down
+            // for a moment, the connecction wont fail
+            setTimeout(this.connect.bind(this), delay);
+        } else {
+            this.reconnecting = false;
+            this.setState('closed');
+            this.on_message({ route: '$gaveUp', data: { attempts: this.connectionsAttemp } });
+        }
     };
 
     /*
-    * @name Register Send Task
+    * @name Delay
     *
-    * Attachs a hook, by the defined criterias. (Not intended for public use yet)
+    * Returns the time to wait before the next attempt. The base delay is
+    * doubled on every failed attempt up to the maximum delay, and part of
+    * it is randomly taken off to avoid every client retrying at once.
+    *
+    * @function
+    * @return {Number}
     *
     */
-    Router.prototype.registerSendTask = function (route, fn, position) {
-        this.registeredTasks.push({
-            route: this.routify(route),
-            fn: fn,
-            position: position
+    ConnectionHandler.prototype.delay = function () {
+        var delay = Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, Math.max(this.connectionsAttemp - 1, 0)));
+
+        return Math.round(delay - delay * this.retry.jitter * Math.random());
+    };
+
+    /*
+    * @name Flush
+    *
+    * Execute all messages in the Message Queue
+    *
+    * @function
+    * @return {Promise}
+    *
+    */
+    ConnectionHandler.prototype.flush = function () {
+        var self = this;
+
+        if (this.flushing) return this.flushing;
+
+        // The queue is emptied before sending, so the messages that
+        // Fail again are pushed back in the same order
+        this.flushing = this.messageQueue.drain().then(function (messages) {
+            var held = self.held;
+
+            self.flushing = null;
+            self.held = false;
+
+            // Execute all queued messages
+            for (var i = 0; i < messages.length; i++) {
+                self.send(messages[i]);
+            }
+
+            // The messages sent while the queue was read were
+            // Queued after it, so they are not sent before it
+            if (held) return self.flush();
         });
+
+        return this.flushing;
     };
 
     /*
-    * @name Message
+    * @name Send
     *
-    * Sends a message to the server. The default route is * which can be
-    * Overriten. All parameters are optional.
+    * Sends the object as a message encoded by the codec to the server
+    * If the connection is closing, closed, not authenticated yet, being
+    * flushed or fails, stores the message in the message Queue
     *
     * @function
-    * @param {{
-    *   route: {String},
-    *   action: {String},
-    *   data: {Object}
-    * }} options
+    * @param {Object}
+    *   Object containing all the data that will be sent to the server
     * @return {None}
     *
     */
-    Router.prototype.message = function (options) {
-        this.send(Object.assign({ route: "*" }, options));
+    ConnectionHandler.prototype.send = function (message) {
+
+        // Closing and closed sockets discard the messages without failing,
+        // And the server holds the ones sent before the credentials are accepted
+        if (this.connection.readyState > 1 || this.auth && !this.authenticated) {
+            return this.messageQueue.push(message);
+        }
+
+        if (this.flushing) {
+            this.held = true;
+
+            return this.messageQueue.push(message);
+        }
+
+        try {
+            this.connection.send(this.codec.encode(message));
+        } catch (err) {
+            this.messageQueue.push(message);
+        }
     };
 
     /*
-    * @name Apply Filters
+    * @name Outbox
     *
-    * Checks if an object meets the filters criteria (Not intended for public use)
+    * Keeps the messages that could not be delivered in a storage, so they
+    * survive restarts when the storage is persistent. Storages implement
+    * load, returning the stored entries, and save, receiving them, and
+    * both can return promises. When the outbox is full, the drop policy
+    * defines whether the oldest message or the new one is dropped, and
+    * the dropped message is handed to onError as an OUTBOX_FULL error.
+    * Messages older than the ttl are never delivered. The entries are
+    * loaded once and kept in memory, storages implementing append receive
+    * every new entry alone instead of all of them. Storages that can not
+    * be read are taken as empty, their errors are handed to onError as the
+    * ones of the storages that can not be written.
     *
-    * @function
-    * @param {Object} target_filters
-    * @param {Object} destiny_filters
-    * @return {Boolean}
+    * @constructor
+    * @param {{
+    *   storage: {Object},
+    *   maxSize: {Number},
+    *   ttl: {Number},
+    *   dropPolicy: {String}
+    * }} options
+    *   storage defaults to a MemoryStorage, maxSize and ttl (in ms) to
+    *   Infinity and dropPolicy to 'oldest' (or 'newest')
+    * @param {Function} onError
+    * @return {Outbox}
     *
     */
-   Router.prototype.applyFilters = function (dataFilters, eventFilters) {
-        var isFilterMatching = true;
+    function Outbox(options, onError) {
+        options = Object.assign({
+            storage: new WebSocketRouter.MemoryStorage(),
+            maxSize: Infinity,
+            ttl: Infinity,
+            dropPolicy: 'oldest'
+        }, options);
 
-        Object.keys(eventFilters).forEach(key => {
-            if (!this.routify(dataFilters[key].toString ()).exec(eventFilters[key].toString ())) {
-                isFilterMatching = false;
-            }
-        });
+        this.storage = options.storage;
+        this.maxSize = options.maxSize;
+        this.ttl = options.ttl;
+        this.dropPolicy = options.dropPolicy;
+        this.onError = onError || function () {};
+
+        // Entries loaded from the storage
+        this.cache = null;
 
-        return isFilterMatching;
+        // Whether the storage has to be written whole, as
+        // It could not be read or written
+        this.dirty = false;
+
+        // The operations on the storage run one after the
+        // Other, so the entries are written in order
+        this.pending = Promise.resolve();
     }
 
     /*
-    * @name Should Event Execute
+    * @name Push
     *
-    * Checks if a event should execute or not (Not intended for public use)
+    * Stores a message, dropping one if the outbox is full
     *
     * @function
-    * @param {Object} data
-    * @param {Object} evt
-    * @return {Boolean}
+    * @param {Object} message
+    * @return {Promise}
+    *   Resolved once the message is stored or dropped
     *
     */
-    Router.prototype.shouldEventExecute = function (data, evt) {
-        if (!this.routify (evt.action).exec(data.action)) {
-            return false;
-        }
+    Outbox.prototype.push = function (message) {
+        var entry = { message: message, time: Date.now() };
 
-        if ((evt.filters && !data.data) || (data.data && evt.filters && !this.applyFilters(data.data, evt.filters))) {
-        return false;
-        }
+        return this.run(function () {
+            var entries = this.cache;
 
-        return evt.n.exec(data.route);
-    }
+            // Expired entries are the oldest ones
+            var expired = entries.length && entries[0].time < entry.time - this.ttl;
+
+            if (expired) entries = this.cache = this.entries();
+
+            if (entries.length >= this.maxSize && this.dropPolicy == 'newest') return this.drop(message);
+
+            entries.push(entry);
+
+            var dropped = entries.length > this.maxSize ? entries.shift() : null;
+
+            if (dropped) this.drop(dropped.message);
+
+            // Storages implementing append only receive the new entry,
+            // Unless others were dropped
+            return this.write(function (storage) {
+                if (expired || dropped || this.dirty || !storage.append) {
+                    this.dirty = false;
+
+                    return storage.save(entries);
+                }
+
+                return storage.append(entry);
+            });
+        });
+    };
 
     /*
-    * @name Should Task Execute
+    * @name Drain
     *
-    * Checks if a task should execute or not (Not intended for public use)
+    * Empties the outbox and returns the stored messages in order
     *
     * @function
-    * @param {Object} data
-    * @param {Object} task
-    * @param {String} position
-    * @return {Boolean}
+    * @return {Promise}
+    *   Resolved with the array of messages
     *
     */
-    Router.prototype.shouldTaskExecute = function (data, task, position) {
-        if (position != task.position) {
-            return false;
-        }
+    Outbox.prototype.drain = function () {
+        return this.run(function () {
+            var entries = this.entries();
 
-        return task.route.exec(data.route);
+            this.cache = [];
+
+            return this.write(function (storage) {
+                this.dirty = false;
+
+                return storage.save([]);
+            }).then(function () {
+                return entries.map(function (entry) {
+                    return entry.message;
+                });
+            });
+        });
     };
 
     /*
-    * @name Apply To Queue
+    * @name Entries
     *
-    * Adds the current event to the execution queue (Not intended for public use)
+    * Returns the loaded entries that have not expired (Not intended for public use)
     *
     * @function
-    * @param {Object} event
-    * @param {Array} run
-    * @return {None}
+    * @return {Array}
     *
     */
-    Router.prototype.applyToQueue = function (evt, run) {
-        if (evt.fn instanceof Array) {
-            for (var j = 0; j < evt.fn.length; j++) {
-                run.push(evt.fn[j].bind(evt.bind ? evt.bind : ctx));
-            }
-        } else {
-            run.push(evt.fn.bind(evt.bind ? evt.bind : ctx));
-        }
+    Outbox.prototype.entries = function () {
+        var expiration = Date.now() - this.ttl;
+
+        return (this.cache || []).filter(function (entry) {
+            return entry.time >= expiration;
+        });
     };
 
     /*
-    * @name Dispatch
+    * @name Run
     *
-    * Dispatchs the current event and the associated hooks (Not intended for public use)
+    * Runs the function once the previous operations finished and the
+    * entries are loaded (Not intended for public use)
     *
     * @function
-    * @param {Object} data
-    * @return {None}
+    * @param {Function} fn
+    * @return {Promise}
     *
     */
-    Router.prototype.dispatch = function (data) {
-        var run = [];
+    Outbox.prototype.run = function (fn) {
+        var self = this;
 
-        //Events
-        for (var i = 0; i < this.events.length; i++) {
-            if (this.shouldEventExecute(data, this.events[i])) {
-                this.applyToQueue(this.events[i], run);
-            }
-        }
+        var result = this.pending.then(function () {
+            return self.load();
+        }).then(function () {
+            return fn.call(self);
+        });
 
-        //Execute Last Events
-        for (var i = 0; i < this.lastEvents.length; i++) {
-            if (this.shouldEventExecute(data, this.lastEvents[i])) {
-                this.applyToQueue(this.lastEvents[i], run);
-            }
-        }
+        this.pending = result.catch(function () {});
 
-        this.runner(run, data.data);
+        return result;
     };
 
     /*
-    * @name Runner
+    * @name Load
     *
-    * Runs the provided callbacks array (Not intended for public use)
+    * Loads the entries from the storage the first time. A storage
+    * that can not be read is taken as empty (Not intended for public use)
     *
     * @function
-    * @param {Array} run
-    * @param {Object} data
-    * @return {None}
+    * @return {Promise}
     *
     */
-    Router.prototype.runner = function (run, data) {
-        try {
-            for (var i = 0; i < run.length; i++) {
-                run[i](data);
-            }
-        } catch (e) {
-            this.error(this.ExceptionHandler(e));
-        }
+    Outbox.prototype.load = function () {
+        var self = this;
+
+        if (this.cache) return Promise.resolve();
+
+        return new Promise(function (resolve) {
+            resolve(self.storage.load());
+        }).then(function (entries) {
+            self.cache = (entries || []).slice();
+        }, function (err) {
+            self.cache = [];
+            self.dirty = true;
+            self.onError(Object.assign(new Error('Outbox storage could not be read: ' + err.message), { code: 'OUTBOX_STORAGE' }));
+        });
     };
 
     /*
-    * @name Routify
+    * @name Write
     *
-    * Turns a Route String into a regex (Not intended for public use)
+    * Writes to the storage, handing the errors to onError. A storage that
+    * could not be written is written whole the next time (Not intended for public use)
     *
     * @function
-    * @param {String} route
-    * @return {Regex}
+    * @param {Function} fn
+    * @return {Promise}
     *
     */
-    Router.prototype.routify = function (n) {
-        return new RegExp('^' + n.replace(/\*/g, '[^\/]+').replace(/\//g, '\\/') + '$', '');
+    Outbox.prototype.write = function (fn) {
+        var self = this;
+
+        return new Promise(function (resolve) {
+            resolve(fn.call(self, self.storage));
+        }).catch(function (err) {
+            self.dirty = true;
+            self.onError(Object.assign(new Error('Outbox storage could not be written: ' + err.message), { code: 'OUTBOX_STORAGE' }));
+        });
     };
 
     /*
-    * @name Error
+    * @name Drop
     *
-    * Sends an error whenever the server or the client
-    * has failed (Not intended for public use)
+    * Hands a message dropped as the outbox is full to onError (Not intended for public use)
     *
     * @function
-    * @param {Error} error
+    * @param {Object} message
     * @return {None}
     *
     */
-    Router.prototype.error = function (error) {
-        this.send({ route: '/socket/error', data: error });
+    Outbox.prototype.drop = function (message) {
+        this.onError(Object.assign(new Error('Outbox full, message to ' + message.route + ' dropped'), { code: 'OUTBOX_FULL', dropped: message }));
     };
 
+    // The number of messages loaded, pending operations excluded
+    Object.defineProperty(Outbox.prototype, 'length', {
+        get: function () {
+            return this.entries().length;
+        }
+    });
+
     /*
-    * @name Execute Tasks
+    * @name Close
     *
-    * Executes all the tasks by a hook identifier (Not intended for public use)
+    * Closes the connection and clears all data related to the object
     *
     * @function
-    * @param {Object} data
-    * @param {String} position
     * @return {None}
     *
     */
-    Router.prototype.executeTaks = function (data, position) {
-        for (var i = 0; i < this.registeredTasks.length; i++) {
-            if (this.shouldTaskExecute(data, this.registeredTasks[i], position)) {
-                this.registeredTasks[i].fn.bind(ctx)(data);
-            }
+    Router.prototype.close = function () {
+        this.messageQueue = [];
+
+        if (this.connection.readyState == 1) {
+            this.connection.close();
+        } else {
+            this.connection.onopen = function () {
+                this.connection.close();
+            };
         }
     };
 
-    return new Router(connection_query, ctx);
+    /*
+    * @name Router
+    *
+    * Implements a routifier which lets you define URL to your handlers
+    * The URLs will respond to methods and chainable, meaning that a chai
+    * of responsability (by the given order) will be respected.
+    * If one of the handlers, fails, it will break the chain.
+    * Optionally, actions (in a similar fashion to REST) can be defined,
+    * also filters.
+    * You can attach hooks to your url handlers which will let you prepare your
+    * data or scenario before executing a particular task or set of tasks
+    *
+    * @constructor
+    * @param {String} connection_query
+    *   Defines the FQDM to connect to (eg: ws(s)://localhost:8080). Routers
+    *   created without it have no connection and are meant to be mounted
+    * @param {*} ctx
+    *   Defines the root context to which all the Handlers will be attached by
+    *   default, if no other handler is specified
+    * @param {{
+    *   retry: {Object},
+    *   outbox: {Object},
+    *   heartbeat: {Object},
+    *   codec: {String|Object},
+    *   auth: {Object|Function},
+    *   production: {Boolean},
+    *   serializeError: {Function},
+    *   ack: {{
+    *     timeout: {Number},
+    *     maxAttempts: {Number},
+    *     window: {Number}
+    *   }}
+    * }} options
+    *   Defines the retry policy, the outbox, the heartbeat, the codec and
+    *   the credentials of the connection (see ConnectionHandler), how the errors sent
+    *   to the server are serialized (see serializeError) and how the
+    *   messages sent with ack are delivered: sent again every timeout
+    *   (5000 ms by default) up to maxAttempts (10), while the ids of the
+    *   last window (1000) messages received are remembered
+    * @return {Router}
+    *
+    */
+    function Router(connection_query, ctx, options) {
+
+        this.action = {
+            UPDATE: 'UPDATE',
+            DELETE: 'DELETE',
+            CREATE: 'CREATE',
+            SUBSCRIBE: 'SUBSCRIBE',
+            UNSUBSCRIBE: 'UNSUBSCRIBE',
+            REQUEST: 'REQUEST'
+        };
+
+        //Due to several version of the router beeing used on different places of the application
+        this.version = '1.3.2';
+
+        //
+        this.events = [];
+
+        //
+        this.lastEvents = [];
+
+        //
+        this.registeredTasks = [];
+
+        // Routes compiled into a segment trie, rebuilt
+        // Whenever the events change
+        this.trie = { dirty: true };
+
+        // Guards attached to routes
+        this.rules = [];
+
+        // Routers mounted under a prefix
+        this.mounts = [];
+
+        // Holds the calls waiting for a reply from the peer,
+        // indexed by the id stamped in the envelope
+        this.pendingCalls = {};
+
+        // Last id stamped in a call envelope
+        this.lastCallId = 0;
+
+        // Streams replying to the requests of the peer,
+        // Indexed by the id of the request
+        this.streams = {};
+
+        // Messages waiting for the peer to acknowledge them,
+        // Indexed by their id
+        this.pendingAcks = {};
+
+        // Ids of the last acknowledged messages received, in arrival
+        // Order, and whether their handlers already succeeded. Their
+        // Handlers only run once, the ids carry the prefix of the sender
+        this.receivedAcks = new Map();
+
+        // Time to wait for an acknowledgement before sending the
+        // Message again, attempts before giving up and ids remembered
+        this.delivery = Object.assign({
+            timeout: 5000,
+            maxAttempts: 10,
+            window: 1000
+        }, options && options.ack);
+
+        // Prefix of the ids of the acknowledged messages,
+        // So the peer can tell apart the ones of every router
+        this.senderId = Math.random().toString(36).slice(2);
+
+        // Properties merged into the context received
+        // By every handler
+        this.locals = {};
+
+        // Session of the connection, received by every handler
+        this.session = {};
+
+        // In production, the default, the errors sent to the peer
+        // Have no stack
+        this.production = !(options && options.production === false);
+
+        if (options && options.serializeError) this.serializeError = options.serializeError;
+
+        // Will manage all connection-related aspects
+        // Of the WebSocket, routers created without a
+        // Connection query are meant to be mounted (see Use)
+        this.connection = connection_query ? new ConnectionHandler(connection_query, this.dispatch.bind(this), options) : null;
+
+        // Current state of the connection
+        Object.defineProperty(this, 'state', {
+            get: function () {
+                return this.connection ? this.connection.state : undefined;
+            }
+        });
+
+        // Latency measured by the heartbeat
+        Object.defineProperty(this, 'latency', {
+            get: function () {
+                return this.connection ? this.connection.latency : undefined;
+            }
+        });
+    }
+
+    /*
+    * @name Send
+    *
+    * Executes the current message, and the BEFORE and AFTER hooks
+    *
+    * @function
+    * @param {Object} message
+    *   Object message to be sent to the server
+    * @return {None}
+    *
+    */
+    Router.prototype.send = function (message) {
+        try {
+            this.executeTaks(message, BEFORE);
+            if (this.connection) this.connection.send(message);
+            this.executeTaks(message, AFTER);
+        } catch (err) {
+            var failure = { route: '/socket/error', data: this.ExceptionHandler(err, message) };
+
+            // Messages that can not be sent are reported to the
+            // onError listeners, or logged when there is none
+            if (this.plan(failure).steps.length) return this.dispatch(failure);
+
+            console.log(err);
+        }
+    };
+
+    /*
+    * @name Exception Handler
+    *
+    * Receives an error and the message that failed, and returns the error
+    * envelope ready to be delivered to the peer, built by serializeError.
+    *
+    * @function
+    * @param {Error} error
+    * @param {Object} data
+    *   Message that failed
+    * @return {Object}
+    *
+    */
+    Router.prototype.ExceptionHandler = function (error, data) {
+        return this.serializeError(error, data || {});
+    };
+
+    /*
+    * @name Serialize Error
+    *
+    * Builds the error envelope sent to the peer: the code of the error
+    * (INTERNAL_ERROR unless it has one), its message, the route and action
+    * of the message that failed, the id of the call as correlationId and
+    * the details of the error. The stack is only added out of production,
+    * when the router is created with production set to false.
+    * Can be replaced on the router, or with the serializeError option.
+    *
+    * @function
+    * @param {Error} error
+    * @param {Object} data
+    *   Message that failed
+    * @return {{
+    *   code: {String},
+    *   message: {String},
+    *   route: {String},
+    *   action: {String},
+    *   correlationId: {Number},
+    *   details: {*}
+    * }}
+    *
+    */
+    Router.prototype.serializeError = function (error, data) {
+        var envelope = {
+            code: error && error.code || 'INTERNAL_ERROR',
+            message: error && error.message || String(error),
+            route: data.route,
+            action: data.action,
+            correlationId: data.id
+        };
+
+        if (error && error.details !== undefined) envelope.details = error.details;
+        if (!this.production && error && error.stack) envelope.stack = error.stack;
+
+        return envelope;
+    };
+
+    /*
+    * @name On Error
+    *
+    * Listens to the errors the peer sends on /socket/error about the
+    * messages of a route, and to the errors of the messages of the route
+    * this router could not send, eg: the ones failing the schema of a
+    * before send hook. When no route is given it listens to all of them.
+    * Returns the builder of the listener.
+    *
+    * @function
+    * @param {String} route
+    * @param {Function} fn
+    *   Receives the error envelope and the context
+    * @return {Object}
+    *
+    */
+    Router.prototype.onError = function (route, fn) {
+        if (typeof route == 'function') {
+            fn = route;
+            route = null;
+        }
+
+        var matcher = route && this.routify(route);
+
+        return this.on('/socket/error', function (error, context) {
+            if (!matcher || (error && matcher.exec(error.route))) return fn.call(this, error, context);
+        });
+    };
+
+    /*
+    * @name On
+    *
+    * Receives a route and a callback and returns a builder object
+    * that will let you define, chainable, action, filters, bind and executeLast,
+    * properties.
+    *
+    * action - receives a constante (or value) and filter also by defined
+    *          action in the server.
+    *
+    * filters - receives an object and filter also by key-values defined in the
+    *           filters, and also present in the received message.
+    *
+    * bind - Receives any object and binds the callback to the specified context.
+    *
+    * schema - receives a JSON Schema the message data has to match. Messages
+    *          that do not match it are rejected before any handler runs.
+    *
+    * guard - receives a function, or the roles allowed, that has to accept
+    *         the message before any interceptor or handler runs (see Guard).
+    *
+    * executeFirst - runs the callback before the listeners that are not
+    *                executed first.
+    *
+    * executeLast - will push this callback to the end of the event queue, beeing
+    *               making it the last in the chain of responsability.
+    *
+    * priority - receives a number, listeners with higher priorities run first
+    *            among the ones executed first, last or neither (0 by default).
+    *
+    * as - receives an id naming the listener, for before and after.
+    *
+    * before, after - receive the ids (or an array of them) of the listeners
+    *                 this one has to run before or after, when both match
+    *                 a message. They take precedence over the priorities.
+    *
+    * once - removes the listener after the first message it matches.
+    *
+    * remove - removes the listener.
+    *
+    * entry - the listener registered (Not intended for public use).
+    *
+    * Callbacks receive the message data and a context holding the route,
+    * the action and the named parameters (eg: /artist/:id) of the route.
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} (),
+    *   entry: {Object}
+    * }}
+    *
+    */
+    Router.prototype.on = function (n, fn) {
+        var self = this;
+        var event = { name: n, n: this.routify(n), fn: fn, action: "*", actionMatcher: this.routify("*") };
+        this.events.push(event);
+        this.trie.dirty = true;
+
+        return new function () {
+            this.action = function (ACTION) {
+                if (ACTION) {
+                    event.action = ACTION;
+                    event.actionMatcher = self.routify(ACTION);
+                    self.trie.dirty = true;
+                }
+
+                return this;
+            };
+
+            this.filters = function (filters) {
+                if (filters) {
+                    event.matchFilters = self.compileFilters(filters);
+                    event.filters = filters;
+                }
+
+                return this;
+            };
+
+            this.bind = function (bind) {
+                if (bind) event.bind = bind;
+
+                return this;
+            };
+
+            this.schema = function (schema) {
+                if (schema) event.schema = self.checkSchema(schema);
+
+                return this;
+            };
+
+            this.guard = function (guard) {
+                if (guard) event.guards = (event.guards || []).concat(self.permit(guard));
+
+                return this;
+            };
+
+            this.executeFirst = function () {
+                if (self.lastEvents.indexOf(event) > -1) {
+                    self.lastEvents.splice(self.lastEvents.indexOf(event), 1);
+                    self.events.push(event);
+                }
+
+                event.first = true;
+                event.last = false;
+                self.trie.dirty = true;
+
+                return this;
+            };
+
+            this.executeLast = function () {
+                if (self.events.indexOf(event) > -1) {
+                    self.events.splice(self.events.indexOf(event), 1);
+                    self.lastEvents.push(event);
+                }
+
+                event.first = false;
+                event.last = true;
+                self.trie.dirty = true;
+
+                return this;
+            };
+
+            this.priority = function (priority) {
+                event.priority = Number(priority) || 0;
+
+                return this;
+            };
+
+            this.as = function (id) {
+                event.id = id;
+
+                return this;
+            };
+
+            this.before = function (ids) {
+                event.before = (event.before || []).concat(ids);
+
+                return this;
+            };
+
+            this.after = function (ids) {
+                event.after = (event.after || []).concat(ids);
+
+                return this;
+            };
+
+            this.once = function () {
+                event.once = true;
+
+                return this;
+            };
+
+            this.remove = function () {
+                self.unregister(event);
+
+                return this;
+            };
+
+            this.entry = event;
+        }();
+    };
+
+    /*
+    * @name Off
+    *
+    * Removes the listeners, interceptors and send hooks registered for the
+    * route with the given callback, or all of them if no callback is given.
+    * Regular expressions match the ones with the same source and flags.
+    *
+    * @function
+    * @param {String} name
+    *   Route used to register the callback
+    * @param {Function} callback
+    *   Callback to remove
+    * @return {None}
+    *
+    */
+    Router.prototype.off = function (n, fn) {
+        var self = this;
+
+        // A regular expression prints as its source and flags
+        var same = function (name) {
+            return name === n || name instanceof RegExp && n instanceof RegExp && String(name) === String(n);
+        };
+
+        [this.events, this.lastEvents, this.registeredTasks].forEach(function (entries) {
+            entries.slice().forEach(function (entry) {
+                if (!same(entry.name)) return;
+
+                if (!fn || entry.fn === fn) {
+                    self.unregister(entry);
+                } else if (entry.fn instanceof Array && entry.fn.indexOf(fn) > -1) {
+                    entry.fn = entry.fn.filter(function (callback) {
+                        return callback !== fn;
+                    });
+
+                    if (!entry.fn.length) self.unregister(entry);
+                }
+            });
+        });
+    };
+
+    /*
+    * @name Unregister
+    *
+    * Removes a listener, interceptor or send hook (Not intended for public use)
+    *
+    * @function
+    * @param {Object} entry
+    * @return {None}
+    *
+    */
+    Router.prototype.unregister = function (entry) {
+        [this.events, this.lastEvents, this.registeredTasks].forEach(function (entries) {
+            if (entries.indexOf(entry) > -1) entries.splice(entries.indexOf(entry), 1);
+        });
+
+        this.trie.dirty = true;
+    };
+
+    /*
+    * @name On Connection State
+    *
+    * Listens to every change of the connection state. The callback
+    * receives the new state and the previous one.
+    *
+    * @function
+    * @param {Function} callback
+    *   Callback to execute whenever the state changes
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.onConnectionState = function (fn) {
+        return this.on('$state', function (data, context) {
+            return fn.call(this, data.state, data.previous, context);
+        });
+    };
+
+    /*
+    * @name Delete
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the DELETE action
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.delete = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.DELETE).filters(filters);
+    };
+
+    /*
+    * @name Update
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the UPDATE action
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.update = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.UPDATE).filters(filters);
+    };
+
+    /*
+    * @name Create
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the CREATE action
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.create = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.CREATE).filters(filters);
+    };
+
+    /*
+    * @name Request
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the REQUEST action. When the request was sent with
+    * call(), the value returned by the callback (or the promise it returns)
+    * is sent back to the peer as the reply.
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.request = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.REQUEST).filters(filters);
+    };
+
+    /*
+    * @name Subscribe
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the SUBSCRIBE action
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.subscribe = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.SUBSCRIBE).filters(filters);
+    };
+
+    /*
+    * @name Unsubscribe
+    *
+    * Receives a route, a callback and filters, creates a new listener for
+    * those criterias and the UNSUBSCRIBE action
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @param {Object} filters
+    *   Object used to match parameters in the body and filter messages.
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.unsubscribe = function (n, fn, filters) {
+        return this.on(n, fn).action(this.action.UNSUBSCRIBE).filters(filters);
+    };
+
+    /*
+    * @name Intercept
+    *
+    * Mirros send function. Create for more client legibility and code
+    * Maintanability
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @return {{
+    *   action: {Function} (action),
+    *   filters: {Function} (object),
+    *   bind: {Function} (context),
+    *   schema: {Function} (schema),
+    *   guard: {Function} (guard),
+    *   executeFirst: {Function} (),
+    *   executeLast: {Function} (),
+    *   priority: {Function} (priority),
+    *   as: {Function} (id),
+    *   before: {Function} (ids),
+    *   after: {Function} (ids),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.intercept = function (n, fn) {
+        var listener = this.on(n, fn);
+
+        listener.entry.interceptor = true;
+
+        return listener;
+    };
+
+    /*
+    * @name Use
+    *
+    * Mounts a router under a prefix, which can have parameters but not
+    * ** segments nor optional parameters. The
+    * messages whose route starts with the prefix are also dispatched to the
+    * listeners of the mounted router, which see the route without it, after
+    * the listeners of this router. Its guards and interceptors only apply to
+    * those messages, and its send hooks to the messages sent to them. Routers
+    * to mount can be created without a connection, eg: new WebSocketRouter()
+    *
+    * @function
+    * @param {String} prefix
+    * @param {Router} router
+    * @return {{
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.use = function (prefix, router) {
+        var self = this;
+
+        prefix = prefix.replace(/\/+$/, '');
+
+        var mount = { prefix: prefix, n: this.routify(prefix), length: prefix.split('/').length, router: router };
+
+        this.mounts.push(mount);
+
+        return {
+            remove: function () {
+                if (self.mounts.indexOf(mount) > -1) self.mounts.splice(self.mounts.indexOf(mount), 1);
+
+                return this;
+            }
+        };
+    };
+
+    /*
+    * @name Unprefix
+    *
+    * Returns the route without the prefix of a mount, and the parameters of
+    * the prefix, or null when the route does not start with it (Not intended for public use)
+    *
+    * @function
+    * @param {Object} mount
+    * @param {String} route
+    * @return {{
+    *   route: {String},
+    *   params: {Object}
+    * }}
+    *
+    */
+    Router.prototype.unprefix = function (mount, route) {
+        var segments = String(route).split('/');
+        var match = segments.length >= mount.length && mount.n.exec(segments.slice(0, mount.length).join('/'));
+        var params = {};
+
+        if (!match) return null;
+
+        (mount.n.keys || []).forEach(function (key, i) {
+            params[key] = match[i + 1];
+        });
+
+        return { route: '/' + segments.slice(mount.length).join('/'), params: params };
+    };
+
+    /*
+    * @name Guard
+    *
+    * Attachs a guard to the messages of a route, evaluated before the
+    * guards of the listeners, the interceptors and the handlers. The guard
+    * receives the message data and the context, and accepts the message
+    * returning true (or a promise of it). Instead of a function, the roles
+    * allowed can be given, matched against the roles (or role) of the
+    * session. Rejected messages fail with a FORBIDDEN error.
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function|Array|String} guard
+    * @return {{
+    *   action: {Function} (action),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.guard = function (n, guard) {
+        var self = this;
+        var rule = { name: n, n: this.routify(n), fn: this.permit(guard), action: this.routify("*") };
+
+        this.rules.push(rule);
+
+        return new function () {
+            this.action = function (ACTION) {
+                if (ACTION) rule.action = self.routify(ACTION);
+
+                return this;
+            };
+
+            this.remove = function () {
+                if (self.rules.indexOf(rule) > -1) self.rules.splice(self.rules.indexOf(rule), 1);
+
+                return this;
+            };
+        }();
+    };
+
+    /*
+    * @name Permit
+    *
+    * Returns the guard function of a guard, turning the roles allowed into
+    * a check of the roles of the session (Not intended for public use)
+    *
+    * @function
+    * @param {Function|Array|String} guard
+    * @return {Function}
+    *
+    */
+    Router.prototype.permit = function (guard) {
+        if (typeof guard == 'function') return guard;
+
+        var roles = [].concat(guard);
+
+        return function (data, context) {
+            var session = context.session || {};
+
+            return [].concat(session.roles || session.role || []).some(function (role) {
+                return roles.indexOf(role) > -1;
+            });
+        };
+    };
+
+    /*
+    * @name Authorize
+    *
+    * Returns the first callback of a chain, which runs the guards in order
+    * and throws a FORBIDDEN error as soon as one rejects the message. Guards
+    * returning a promise are waited for (Not intended for public use)
+    *
+    * @function
+    * @param {Array} guards
+    *   Guard functions along with their context
+    * @param {Object} message
+    * @return {Function}
+    *
+    */
+    Router.prototype.authorize = function (guards, message) {
+        return function (data) {
+            var check = function (i) {
+                if (i >= guards.length) return;
+
+                var verdict = function (allowed) {
+                    if (!allowed) throw Object.assign(new Error('Forbidden ' + (message.action || 'message') + ' on ' + message.route), { code: 'FORBIDDEN' });
+
+                    return check(i + 1);
+                };
+
+                var allowed = guards[i].fn.call(ctx, data, guards[i].context);
+
+                return allowed && typeof allowed.then == 'function' ? allowed.then(verdict) : verdict(allowed);
+            };
+
+            return check(0);
+        };
+    };
+
+    /*
+    * @name Before Send
+    *
+    * Attachs a before send hook to a particular route. With a schema, the
+    * messages whose data does not match it are not sent.
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @return {{
+    *   schema: {Function} (schema),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.beforeSend = function (route, fn) {
+        return this.registerSendTask(route, fn, BEFORE);
+    };
+
+    /*
+    * @name After Send
+    *
+    * Attachs a after send hook to a particular route.
+    *
+    * @function
+    * @param {String} name
+    *   Route to match
+    * @param {Function} callback
+    *   Callback to execute whenever the criterias ar meet
+    * @return {{
+    *   schema: {Function} (schema),
+    *   once: {Function} (),
+    *   remove: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.afterSend = function (route, fn) {
+        return this.registerSendTask(route, fn, AFTER);
+    };
+
+    /*
+    * @name Register Send Task
+    *
+    * Attachs a hook, by the defined criterias. (Not intended for public use yet)
+    *
+    */
+    Router.prototype.registerSendTask = function (route, fn, position) {
+        var self = this;
+        var task = {
+            name: route,
+            route: this.routify(route),
+            fn: fn,
+            position: position
+        };
+
+        this.registeredTasks.push(task);
+
+        return new function () {
+            this.schema = function (schema) {
+                if (schema) task.schema = self.checkSchema(schema);
+
+                return this;
+            };
+
+            this.once = function () {
+                task.once = true;
+
+                return this;
+            };
+
+            this.remove = function () {
+                self.unregister(task);
+
+                return this;
+            };
+        }();
+    };
+
+    /*
+    * @name Message
+    *
+    * Sends a message to the peer. The default route is * which can be
+    * Overriten. All parameters are optional. Messages sent with ack are
+    * delivered at least once (see Deliver), and a promise resolved once the
+    * peer acknowledges them is returned.
+    *
+    * @function
+    * @param {{
+    *   route: {String},
+    *   action: {String},
+    *   data: {Object},
+    *   ack: {Boolean}
+    * }} options
+    * @return {Promise|None}
+    *
+    */
+    Router.prototype.message = function (options) {
+        var message = Object.assign({ route: "*" }, options);
+
+        if (message.ack) return this.deliver(message);
+
+        this.send(message);
+    };
+
+    /*
+    * @name Deliver
+    *
+    * Stamps the message with an id and sends it until the peer acknowledges
+    * it. The message is sent again when no acknowledgement arrives before
+    * the timeout and whenever the connection is opened. The promise rejects
+    * with an ACK_TIMEOUT error after the maximum attempts (Not intended for public use)
+    *
+    * @function
+    * @param {Object} message
+    * @return {Promise}
+    *
+    */
+    Router.prototype.deliver = function (message) {
+        var self = this;
+
+        message.id = this.senderId + ':' + ++this.lastCallId;
+
+        return new Promise(function (resolve, reject) {
+            self.pendingAcks[message.id] = { message: message, attempts: 0, resolve: resolve, reject: reject };
+            self.transmit(message.id);
+        });
+    };
+
+    /*
+    * @name Transmit
+    *
+    * Sends a message waiting for its acknowledgement and waits for the
+    * timeout to try again. Only the messages written count as attempts,
+    * while the connection is not open, or its credentials not accepted yet,
+    * they wait for it (Not intended for public use)
+    *
+    * @function
+    * @param {String} id
+    * @return {None}
+    *
+    */
+    Router.prototype.transmit = function (id) {
+        var self = this;
+        var pending = this.pendingAcks[id];
+
+        clearTimeout(pending.timer);
+
+        if (pending.attempts >= this.delivery.maxAttempts) {
+            delete this.pendingAcks[id];
+
+            return pending.reject(Object.assign(new Error('Message to ' + pending.message.route + ' not acknowledged after ' + pending.attempts + ' attempts'), { code: 'ACK_TIMEOUT' }));
+        }
+
+        if (!this.connection || !this.connection.ready()) return;
+
+        pending.attempts++;
+
+        this.send(pending.message);
+
+        pending.timer = setTimeout(function () {
+            self.transmit(id);
+        }, this.delivery.timeout);
+    };
+
+    /*
+    * @name Acknowledge
+    *
+    * Remembers a message received with ack before its handlers run.
+    * Returns false when it was already received, so its handlers are not
+    * run again: the message is acknowledged again once they succeeded,
+    * the acknowledgement was lost, and not while they are running (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {Boolean}
+    *
+    */
+    Router.prototype.acknowledge = function (data) {
+        if (this.receivedAcks.has(data.id)) {
+            if (this.receivedAcks.get(data.id)) this.send({ route: ACK, data: { id: data.id } });
+
+            return false;
+        }
+
+        this.receivedAcks.set(data.id, false);
+
+        // The oldest id is forgotten once the window is full
+        if (this.receivedAcks.size > this.delivery.window) this.receivedAcks.delete(this.receivedAcks.keys().next().value);
+
+        return true;
+    };
+
+    /*
+    * @name Confirm
+    *
+    * Returns the first callback of the chain of a message received with
+    * ack, which acknowledges it once the guards and handlers succeeded.
+    * When they fail the message is not acknowledged and forgotten, so the
+    * peer sends it again and it runs again (Not intended for public use)
+    *
+    * @function
+    * @param {Object} message
+    * @return {Function}
+    *
+    */
+    Router.prototype.confirm = function (message) {
+        var self = this;
+
+        return function (data, halt, next) {
+            return next().then(function () {
+                self.receivedAcks.set(message.id, true);
+                self.send({ route: ACK, data: { id: message.id } });
+            }, function (err) {
+                self.receivedAcks.delete(message.id);
+
+                throw err;
+            });
+        };
+    };
+
+    /*
+    * @name Acknowledged
+    *
+    * Settles the message acknowledged by the peer (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {None}
+    *
+    */
+    Router.prototype.acknowledged = function (data) {
+        var pending = data && this.pendingAcks[data.id];
+
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        delete this.pendingAcks[data.id];
+        pending.resolve();
+    };
+
+    /*
+    * @name Call
+    *
+    * Sends a REQUEST message stamped with an id and waits for the peer's
+    * request() handler to reply. The returned promise resolves with the value
+    * returned by the remote handler and rejects if the remote handler fails
+    * or if no reply arrives before the timeout (10 seconds by default).
+    *
+    * @function
+    * @param {String} route
+    *   Route to call
+    * @param {Object} data
+    *   Data sent along with the request
+    * @param {{
+    *   timeout: {Number}
+    * }} options
+    * @return {Promise}
+    *
+    */
+    Router.prototype.call = function (route, data, options) {
+        var self = this;
+        var id = ++this.lastCallId;
+        var timeout = options && options.timeout ? options.timeout : 10000;
+
+        return new Promise(function (resolve, reject) {
+            self.pendingCalls[id] = {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(function () {
+                    delete self.pendingCalls[id];
+                    reject(new Error('Call to ' + route + ' timed out after ' + timeout + 'ms'));
+                }, timeout)
+            };
+
+            self.send({ route: route, action: self.action.REQUEST, id: id, data: data });
+        });
+    };
+
+    /*
+    * @name Stream
+    *
+    * Sends a REQUEST message stamped with an id and returns an async
+    * iterator over the chunks the peer's request() handler streams back,
+    * written with context.stream(). At most highWaterMark (16 by default)
+    * chunks are sent before they are consumed, more are asked for as they
+    * are. The iterator is done when the stream ends, and throws the error
+    * of the handler if it fails, or if no chunk arrives before the timeout
+    * (10 seconds by default) while waiting for one. Breaking out of the
+    * iteration cancels the stream. A value replied without a stream is
+    * iterated as a single chunk.
+    *
+    * @function
+    * @param {String} route
+    *   Route to call
+    * @param {Object} data
+    *   Data sent along with the request
+    * @param {{
+    *   timeout: {Number},
+    *   highWaterMark: {Number}
+    * }} options
+    * @return {{
+    *   next: {Function} (),
+    *   return: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.stream = function (route, data, options) {
+        var id = ++this.lastCallId;
+        var receiver = new Receiver(this, id, route, Object.assign({ timeout: 10000, highWaterMark: 16 }, options));
+
+        this.pendingCalls[id] = receiver;
+        this.send({ route: route, action: this.action.REQUEST, id: id, data: data, credit: receiver.highWaterMark });
+
+        return receiver;
+    };
+
+    /*
+    * @name Apply Filters
+    *
+    * Checks if an object meets the filters criteria (Not intended for public use)
+    *
+    * Keys can be nested paths (eg: 'owner.id') and every key has to match.
+    * Missing keys never match, except for $exists: false, $ne and $nin.
+    * Filter values can be:
+    *
+    * string - compared with the value, * matches any segment.
+    *
+    * number, boolean or null - compared with the value.
+    *
+    * RegExp - tested against the value.
+    *
+    * function - predicate receiving the value and the data.
+    *
+    * Array - any of its items has to match.
+    *
+    * operators - object with $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+    *             $exists and $regex, all of them have to match.
+    *
+    * object - filters applied to the value.
+    *
+    * Besides, $or receives an array of filters, one of them has to match.
+    * When the value is an array, any of its items has to match.
+    *
+    * @function
+    * @param {Object} data
+    * @param {Object} filters
+    * @return {Boolean}
+    *
+    */
+    Router.prototype.applyFilters = function (data, filters) {
+        return this.compileFilters(filters)(data);
+    };
+
+    /*
+    * @name Compile Filters
+    *
+    * Turns filters into a predicate receiving the data (see Apply Filters),
+    * so wildcards and regular expressions are only compiled once. Throws
+    * an INVALID_FILTER error for unknown operators and operands of the
+    * wrong type. Filters sent by the peer are untrusted: their strings are
+    * matched literally but for wildcards and parameters, and $regex is
+    * refused (Not intended for public use)
+    *
+    * @function
+    * @param {Object} filters
+    * @param {Boolean} untrusted
+    * @return {Function}
+    *
+    */
+    Router.prototype.compileFilters = function (filters, untrusted) {
+        var self = this;
+
+        if (!filters || typeof filters != 'object' || filters instanceof Array) throw this.invalidFilter('filters should be an object');
+
+        var tests = Object.keys(filters).map(function (key) {
+            if (key == '$or') {
+                if (!(filters.$or instanceof Array)) throw self.invalidFilter('$or should be an array');
+
+                var options = filters.$or.map(function (filter) {
+                    return self.compileFilters(filter, untrusted);
+                });
+
+                return function (data) {
+                    return options.some(function (option) {
+                        return option(data);
+                    });
+                };
+            }
+
+            var path = key.split('.');
+            var matches = self.compileFilter(filters[key], untrusted);
+
+            return function (data) {
+                var value = path.reduce(function (value, segment) {
+                    return value !== undefined && value !== null ? value[segment] : undefined;
+                }, data);
+
+                return matches(value, data);
+            };
+        });
+
+        return function (data) {
+            return tests.every(function (test) {
+                return test(data);
+            });
+        };
+    };
+
+    /*
+    * @name Compile Filter
+    *
+    * Turns the filter of a single value into a predicate receiving the
+    * value and the data. String filters are the patterns the values of
+    * the messages are matched against (Not intended for public use)
+    *
+    * @function
+    * @param {*} filter
+    * @param {Boolean} untrusted
+    * @return {Function}
+    *
+    */
+    Router.prototype.compileFilter = function (filter, untrusted) {
+        var self = this;
+        var test;
+
+        if (typeof filter == 'function') {
+            return function (value, data) {
+                return !!filter(value, data);
+            };
+        }
+
+        if (filter instanceof Array) {
+            var options = filter.map(function (option) {
+                return self.compileFilter(option, untrusted);
+            });
+
+            return function (value, data) {
+                return options.some(function (option) {
+                    return option(value, data);
+                });
+            };
+        }
+
+        if (filter && typeof filter == 'object' && !(filter instanceof RegExp)) {
+            var operators = Object.keys(filter).filter(function (key) {
+                return key.charAt(0) == '$';
+            });
+
+            if (!operators.length) {
+                var nested = this.compileFilters(filter, untrusted);
+
+                return function (value) {
+                    return value !== undefined && value !== null && nested(value);
+                };
+            }
+
+            var tests = operators.map(function (operator) {
+                return self.compileOperator(operator, filter[operator], untrusted);
+            });
+
+            return function (value) {
+                return tests.every(function (test) {
+                    return test(value);
+                });
+            };
+        }
+
+        if (filter instanceof RegExp) {
+            test = function (value) {
+                filter.lastIndex = 0;
+
+                return filter.test(String(value));
+            };
+        } else if (typeof filter == 'string') {
+            var route = this.routify(untrusted ? this.literal(filter) : filter);
+
+            test = function (value) {
+                return !!route.exec(String(value));
+            };
+        } else {
+            test = function (value) {
+                return String(value) === String(filter);
+            };
+        }
+
+        var matches = function (value) {
+            if (value === undefined) return false;
+
+            if (value instanceof Array) return value.some(matches);
+
+            return test(value);
+        };
+
+        return matches;
+    };
+
+    /*
+    * @name Compile Operator
+    *
+    * Turns a filter operator into a predicate receiving the value, checking
+    * the type of its operand (Not intended for public use)
+    *
+    * @function
+    * @param {String} operator
+    * @param {*} operand
+    * @param {Boolean} untrusted
+    * @return {Function}
+    *
+    */
+    Router.prototype.compileOperator = function (operator, operand, untrusted) {
+        var self = this;
+
+        var any = function (test) {
+            return function (value) {
+                return value !== undefined && (value instanceof Array ? value : [value]).some(test);
+            };
+        };
+
+        var none = function (test) {
+            var some = any(test);
+
+            return function (value) {
+                return !some(value);
+            };
+        };
+
+        var comparable = function () {
+            if (typeof operand != 'number' && typeof operand != 'string') throw self.invalidFilter(operator + ' should be a number or a string');
+        };
+
+        var list = function () {
+            if (!(operand instanceof Array)) throw self.invalidFilter(operator + ' should be an array');
+        };
+
+        switch (operator) {
+            case '$exists':
+                return function (value) {
+                    return (value !== undefined) == !!operand;
+                };
+            case '$eq':
+                return any(function (item) { return item === operand; });
+            case '$ne':
+                return none(function (item) { return item === operand; });
+            case '$gt':
+                comparable();
+                return any(function (item) { return item > operand; });
+            case '$gte':
+                comparable();
+                return any(function (item) { return item >= operand; });
+            case '$lt':
+                comparable();
+                return any(function (item) { return item < operand; });
+            case '$lte':
+                comparable();
+                return any(function (item) { return item <= operand; });
+            case '$in':
+                list();
+                return any(function (item) { return operand.indexOf(item) > -1; });
+            case '$nin':
+                list();
+                return none(function (item) { return operand.indexOf(item) > -1; });
+            case '$regex':
+                if (untrusted) throw self.invalidFilter('$regex is not allowed');
+                if (typeof operand != 'string' && !(operand instanceof RegExp)) throw self.invalidFilter('$regex should be a string or a regular expression');
+
+                var pattern = new RegExp(operand);
+
+                return any(function (item) { return pattern.test(String(item)); });
+        }
+
+        throw this.invalidFilter('Unknown filter operator ' + operator);
+    };
+
+    /*
+    * @name Invalid Filter
+    *
+    * Returns the error of filters that can not be compiled (Not intended for public use)
+    *
+    * @function
+    * @param {String} message
+    * @return {Error}
+    *
+    */
+    Router.prototype.invalidFilter = function (message) {
+        return Object.assign(new Error('Invalid filter: ' + message), { code: 'INVALID_FILTER' });
+    };
+
+    /*
+    * @name Literal
+    *
+    * Escapes the regex characters of a route sent by the peer, so only
+    * its wildcards and parameters are not matched literally (Not intended for public use)
+    *
+    * @function
+    * @param {String} route
+    * @return {String}
+    *
+    */
+    Router.prototype.literal = function (route) {
+        return String(route).replace(/[.+?^{}()|[\]\\]/g, '\\$&');
+    };
+
+    /*
+    * @name Index
+    *
+    * Compiles the events and execute last events into a trie of route
+    * segments, rebuilt only when they change. Every node holds its events
+    * by action, and in a separate list the events whose action has
+    * wildcards or regex characters. Routes with wildcards, parameters or regex characters inside
+    * a segment are kept unindexed and always checked (Not intended for public use)
+    *
+    * @function
+    * @return {Object}
+    *
+    */
+    Router.prototype.index = function () {
+        var trie = this.trie;
+
+        if (!trie.dirty) return trie;
+
+        var node = function () {
+            return { children: Object.create(null), param: null, wildcard: null, actions: Object.create(null), anyAction: [] };
+        };
+
+        trie.root = node();
+        trie.unindexed = [];
+
+        this.events.concat(this.lastEvents).forEach(function (evt, order) {
+            var segments = typeof evt.name == 'string' ? evt.name.split('/') : null;
+            var current = trie.root;
+
+            evt.order = order;
+
+            if (!segments || segments.some(function (segment) {
+                return segment != '*' && !/^:[A-Za-z_$][\w$]*$/.test(segment) && /[*:.+?^{}()|[\]\\]|\$(?!\w)/.test(segment);
+            })) {
+                return trie.unindexed.push(evt);
+            }
+
+            segments.forEach(function (segment) {
+                if (segment == '*') {
+                    current = current.wildcard = current.wildcard || node();
+                } else if (segment.charAt(0) == ':') {
+                    current = current.param = current.param || node();
+                } else {
+                    current = current.children[segment] = current.children[segment] || node();
+                }
+            });
+
+            if (/[*.+?^${}()|[\]\\]/.test(evt.action)) {
+                current.anyAction.push(evt);
+            } else {
+                (current.actions[evt.action] = current.actions[evt.action] || []).push(evt);
+            }
+        });
+
+        trie.dirty = false;
+
+        return trie;
+    };
+
+    /*
+    * @name Lookup
+    *
+    * Walks the trie and returns, in order, the events whose route and
+    * action could match the message. Filters are not checked (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {Array}
+    *
+    */
+    Router.prototype.lookup = function (data) {
+        var trie = this.index();
+        var nodes = [trie.root];
+        var segments = String(data.route).split('/');
+        var candidates = trie.unindexed.slice();
+
+        for (var i = 0; i < segments.length && nodes.length; i++) {
+            var segment = segments[i];
+            var next = [];
+
+            nodes.forEach(function (node) {
+                if (node.children[segment]) next.push(node.children[segment]);
+                if (segment && node.param) next.push(node.param);
+                if (segment && segment.charAt(0) != '$' && node.wildcard) next.push(node.wildcard);
+            });
+
+            nodes = next;
+        }
+
+        nodes.forEach(function (node) {
+            candidates = candidates.concat(node.actions[data.action] || []);
+
+            node.anyAction.forEach(function (evt) {
+                if (evt.actionMatcher.exec(data.action)) candidates.push(evt);
+            });
+        });
+
+        return candidates.sort(function (a, b) {
+            return a.order - b.order;
+        });
+    };
+
+    /*
+    * @name Should Event Execute
+    *
+    * Checks if a event should execute or not (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Object} evt
+    * @return {Boolean}
+    *
+    */
+    Router.prototype.shouldEventExecute = function (data, evt) {
+        if (!(evt.actionMatcher || this.routify(evt.action)).exec(data.action)) {
+            return false;
+        }
+
+        if ((evt.filters && !data.data) || (data.data && evt.filters && !(evt.matchFilters || this.compileFilters(evt.filters))(data.data))) {
+        return false;
+        }
+
+        return evt.n.exec(data.route);
+    }
+
+    /*
+    * @name Should Task Execute
+    *
+    * Checks if a task should execute or not (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Object} task
+    * @param {String} position
+    * @return {Boolean}
+    *
+    */
+    Router.prototype.shouldTaskExecute = function (data, task, position) {
+        if (position != task.position) {
+            return false;
+        }
+
+        return task.route.exec(data.route);
+    };
+
+    /*
+    * @name Apply To Queue
+    *
+    * Adds the current event to the execution queue. Callbacks are run with
+    * the message data and the context of the matched route, which lets them
+    * halt the chain. Callbacks declaring a third argument receive next
+    * (Not intended for public use)
+    *
+    * @function
+    * @param {Object} event
+    * @param {Array} run
+    * @param {Object} context
+    * @return {None}
+    *
+    */
+    Router.prototype.applyToQueue = function (evt, run, context) {
+        var fns = evt.fn instanceof Array ? evt.fn : [evt.fn];
+        var bind = evt.bind ? evt.bind : ctx;
+
+        fns.forEach(function (fn) {
+            run.push(fn.length >= 3 ? function (data, halt, next) {
+                return fn.call(bind, data, Object.assign({ halt: halt }, context), next);
+            } : function (data, halt) {
+                return fn.call(bind, data, Object.assign({ halt: halt }, context));
+            });
+        });
+    };
+
+    /*
+    * @name Context
+    *
+    * Builds the context handed to the callbacks of a matched event: the
+    * route and action of the message, the named route parameters
+    * captured by the event route, the session of the connection and the
+    * router locals (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Object} evt
+    * @param {Array} match
+    * @return {{
+    *   route: {String},
+    *   action: {String},
+    *   params: {Object},
+    *   session: {Object}
+    * }}
+    *
+    */
+    Router.prototype.context = function (data, evt, match) {
+        var params = {};
+
+        (evt.n.keys || []).forEach(function (key, i) {
+            params[key] = match[i + 1];
+        });
+
+        Object.assign(params, match.groups);
+
+        return Object.assign({ route: data.route, action: data.action, params: params, session: this.session }, this.locals);
+    };
+
+    /*
+    * @name Plan
+    *
+    * Returns the listeners matching a message, in the order they run,
+    * along with their context and the router they belong to, and the
+    * guards of the route (see Order) (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {{
+    *   steps: {Array},
+    *   guards: {Array}
+    * }}
+    *
+    */
+    Router.prototype.plan = function (data) {
+        var self = this;
+        var steps = [];
+        var guards = [];
+        var match;
+
+        for (var i = 0; i < this.rules.length; i++) {
+            if (this.rules[i].action.exec(data.action) && (match = this.rules[i].n.exec(data.route))) {
+                guards.push({ fn: this.rules[i].fn, context: this.context(data, this.rules[i], match) });
+            }
+        }
+
+        // Events and Execute Last Events that could match the route
+        // And action, in order
+        var candidates = this.lookup(data);
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (match = this.shouldEventExecute(data, candidates[i])) {
+                steps.push({ evt: candidates[i], context: this.context(data, candidates[i], match), router: this });
+            }
+        }
+
+        // Mounted routers see the route without their prefix, their
+        // Listeners receive the whole route and the session of this router
+        this.mounts.forEach(function (mount) {
+            var rest = self.unprefix(mount, data.route);
+
+            if (!rest) return;
+
+            var plan = mount.router.plan(Object.assign({}, data, { route: rest.route }));
+
+            var adapt = function (entry) {
+                entry.context = Object.assign({}, entry.context, self.locals, {
+                    route: data.route,
+                    params: Object.assign({}, rest.params, entry.context.params),
+                    session: self.session
+                });
+
+                return entry;
+            };
+
+            guards = guards.concat(plan.guards.map(adapt));
+            steps = steps.concat(plan.steps.map(adapt).map(function (step) {
+                step.prefix = mount.prefix + (step.prefix || '');
+
+                return step;
+            }));
+        });
+
+        return { steps: this.order(steps), guards: guards };
+    };
+
+    /*
+    * @name Order
+    *
+    * Sorts the matched listeners: the ones executed first, then the rest
+    * and last the ones executed last, by priority and, on equal priorities,
+    * by the order they were registered (the listeners of mounted routers
+    * after the ones of this router). Then runs the listeners a listener
+    * has to run after right before it, keeping that order otherwise.
+    * Listeners that have to run before each other are run as they are
+    * reached (Not intended for public use)
+    *
+    * @function
+    * @param {Array} steps
+    * @return {Array}
+    *
+    */
+    Router.prototype.order = function (steps) {
+        var phase = function (evt) {
+            return evt.first ? 0 : evt.last ? 2 : 1;
+        };
+
+        var ranked = steps.map(function (step, i) {
+            return { step: step, i: i };
+        }).sort(function (a, b) {
+            return phase(a.step.evt) - phase(b.step.evt) || (b.step.evt.priority || 0) - (a.step.evt.priority || 0) || a.i - b.i;
+        }).map(function (entry) {
+            return entry.step;
+        });
+
+        var runsBefore = function (step, other) {
+            return other.evt.id !== undefined && (step.evt.before || []).indexOf(other.evt.id) > -1 || step.evt.id !== undefined && (other.evt.after || []).indexOf(step.evt.id) > -1;
+        };
+
+        var ordered = [];
+        var visited = [];
+
+        var visit = function (i) {
+            // Already run, or run before each other
+            if (visited[i]) return;
+
+            visited[i] = true;
+
+            ranked.forEach(function (other, j) {
+                if (j != i && runsBefore(other, ranked[i])) visit(j);
+            });
+
+            ordered.push(ranked[i]);
+        };
+
+        ranked.forEach(function (step, i) {
+            visit(i);
+        });
+
+        return ordered;
+    };
+
+    /*
+    * @name Execution Plan
+    *
+    * Returns, in the order they would run, the listeners matching a message
+    * with the route, action and data given: their id, route, action,
+    * priority, phase (first, last or default), the route parameters and
+    * the callbacks. Nothing is run.
+    *
+    * @function
+    * @param {String} route
+    * @param {String} action
+    * @param {Object} data
+    * @return {Array}
+    *
+    */
+    Router.prototype.executionPlan = function (route, action, data) {
+        return this.plan({ route: route, action: action, data: data }).steps.map(function (step) {
+            return {
+                id: step.evt.id,
+                route: step.evt.name,
+                action: step.evt.action,
+                priority: step.evt.priority || 0,
+                phase: step.evt.first ? 'first' : step.evt.last ? 'last' : 'default',
+                params: step.context.params,
+                callbacks: [].concat(step.evt.fn)
+            };
+        });
+    };
+
+    /*
+    * @name Routes
+    *
+    * Returns every listener, interceptor and send hook registered, the
+    * ones of the mounted routers last along with their prefix: the type,
+    * route, action, filters, priority, phase, id and the names of the
+    * callbacks. Meant to debug the routing.
+    *
+    * @function
+    * @return {Array}
+    *
+    */
+    Router.prototype.routes = function () {
+        var routes = this.events.concat(this.lastEvents, this.registeredTasks).map(this.describe, this);
+
+        this.mounts.forEach(function (mount) {
+            routes = routes.concat(mount.router.routes().map(function (route) {
+                return Object.assign(route, { prefix: mount.prefix + (route.prefix || '') });
+            }));
+        });
+
+        return routes;
+    };
+
+    /*
+    * @name Explain
+    *
+    * Tells what would happen with a message, without running anything: the
+    * listeners and interceptors that would run, in order, with the route
+    * parameters, and the ones skipped with the reason, which is either the
+    * route, the action or the filters. The number of route guards that
+    * would be checked is returned too, as they are not evaluated.
+    *
+    * @function
+    * @param {{
+    *   route: {String},
+    *   action: {String},
+    *   data: {Object}
+    * }} message
+    * @return {{
+    *   route: {String},
+    *   action: {String},
+    *   run: {Array},
+    *   skipped: {Array},
+    *   guards: {Number}
+    * }}
+    *
+    */
+    Router.prototype.explain = function (message) {
+        var data = Object.assign({ route: "*", action: "*" }, message);
+        var plan = this.plan(data);
+
+        var run = plan.steps.map(function (step) {
+            return Object.assign(step.router.describe(step.evt), { prefix: step.prefix, params: step.context.params });
+        });
+
+        return { route: data.route, action: data.action, run: run, skipped: this.skipped(data), guards: plan.guards.length };
+    };
+
+    /*
+    * @name Skipped
+    *
+    * Returns the listeners that would not run for a message, including the
+    * ones of the mounted routers, with the reason (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {Array}
+    *
+    */
+    Router.prototype.skipped = function (data) {
+        var self = this;
+
+        var skipped = this.events.concat(this.lastEvents).filter(function (evt) {
+            return !self.shouldEventExecute(data, evt);
+        }).map(function (evt) {
+            var reason = !evt.n.exec(data.route) ? 'route' : !evt.actionMatcher.exec(data.action) ? 'action' : 'filters';
+
+            return Object.assign(self.describe(evt), { reason: reason });
+        });
+
+        this.mounts.forEach(function (mount) {
+            var rest = self.unprefix(mount, data.route);
+
+            var entries = rest ? mount.router.skipped(Object.assign({}, data, { route: rest.route })) : mount.router.routes().filter(function (route) {
+                return route.type == 'listener' || route.type == 'interceptor';
+            }).map(function (route) {
+                return Object.assign(route, { reason: 'route' });
+            });
+
+            skipped = skipped.concat(entries.map(function (entry) {
+                return Object.assign(entry, { prefix: mount.prefix + (entry.prefix || '') });
+            }));
+        });
+
+        return skipped;
+    };
+
+    /*
+    * @name Describe
+    *
+    * Describes a listener, interceptor or send hook (Not intended for public use)
+    *
+    * @function
+    * @param {Object} entry
+    * @return {Object}
+    *
+    */
+    Router.prototype.describe = function (entry) {
+        var handlers = [].concat(entry.fn || []).map(function (fn) {
+            return fn.name || 'anonymous';
+        });
+
+        if (entry.position) {
+            return { type: entry.position == BEFORE ? 'beforeSend' : 'afterSend', route: entry.name, handlers: handlers, once: !!entry.once };
+        }
+
+        return {
+            type: entry.interceptor ? 'interceptor' : 'listener',
+            id: entry.id,
+            route: entry.name,
+            action: entry.action,
+            filters: entry.filters,
+            priority: entry.priority || 0,
+            phase: entry.first ? 'first' : entry.last ? 'last' : 'default',
+            guarded: !!entry.guards,
+            once: !!entry.once,
+            handlers: handlers
+        };
+    };
+
+    /*
+    * @name Dispatch
+    *
+    * Dispatchs the current event and the associated hooks. The guards run
+    * first, then the message is admitted (see Admit) and the interceptors
+    * and handlers run. The callback given runs last, once the guards and
+    * every handler accepted the message (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Function} done
+    * @return {None}
+    *
+    */
+    Router.prototype.dispatch = function (data, done) {
+        var run = [];
+
+        // Replies are delivered to the pending call, not to the listeners
+        if (data.replyTo !== undefined) {
+            return this.resolveCall(data);
+        }
+
+        if (data.route == ACK) return this.acknowledged(data.data);
+
+        if (data.route == STREAM) return this.flow(data.data);
+
+        // Messages received again, because the acknowledgement
+        // Was lost, are only acknowledged
+        var acked = data.ack && data.id !== undefined;
+
+        if (acked && !this.acknowledge(data)) return Promise.resolve();
+
+        // Streams replying to the server stop writing
+        if (data.route == '$close') {
+            Object.keys(this.streams).forEach(function (id) {
+                this.streams[id].cancel();
+            }, this);
+        }
+
+        // The messages not acknowledged yet are sent again on the
+        // New connection, once its credentials are accepted
+        if ((data.route == '$open' || data.route == '$authenticated') && this.connection && this.connection.ready()) {
+            Object.keys(this.pendingAcks).forEach(this.transmit, this);
+        }
+
+        var plan = this.plan(data);
+        var matched = plan.steps;
+        var guards = plan.guards;
+
+        // Requests stamped with an id expect the result of the chain
+        // Back, the handlers can also stream it
+        var request = data.id !== undefined && data.action == this.action.REQUEST;
+        var sink = request ? this.sink(data) : null;
+
+        // Guards of the route and of the matched listeners
+        // Run before anything else, even without handlers
+        for (var i = 0; i < matched.length; i++) {
+            (matched[i].evt.guards || []).forEach(function (fn) {
+                guards.push({ fn: fn, context: matched[i].context });
+            });
+        }
+
+        if (guards.length) run.push(this.authorize(guards, data));
+
+        run.push(this.admit(data, matched, run, sink, done));
+
+        if (acked) run.unshift(this.confirm(data));
+
+        if (request) return this.reply(data, run, sink);
+
+        return this.runner(run, data.data, data);
+    };
+
+    /*
+    * @name Admit
+    *
+    * Returns the callback of a chain that admits the message once the
+    * guards accepted it: messages that do not match the schema of a
+    * matched listener fail with an INVALID_MESSAGE error and calls
+    * without handlers with a NO_HANDLER error. Otherwise the listeners
+    * registered with once are removed, and the interceptors, the handlers
+    * and the callback given are added to the chain. Listeners registered
+    * with once that another message was admitted to meanwhile are skipped
+    * (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Array} matched
+    * @param {Array} run
+    *   Chain being run
+    * @param {Object} sink
+    *   Sink of the call, if any (see Sink)
+    * @param {Function} done
+    * @return {Function}
+    *
+    */
+    Router.prototype.admit = function (data, matched, run, sink, done) {
+        var self = this;
+
+        return function () {
+            var admitted = matched.filter(function (step) {
+                return !step.evt.spent;
+            });
+
+            admitted.forEach(function (step) {
+                var errors = step.evt.schema ? self.validate(step.evt.schema, data.data) : [];
+
+                if (errors.length) {
+                    throw Object.assign(new Error('Invalid message for ' + data.route), { code: 'INVALID_MESSAGE', details: errors });
+                }
+            });
+
+            if (sink && !admitted.length) {
+                throw Object.assign(new Error('No request handler defined for ' + data.route), { code: 'NO_HANDLER' });
+            }
+
+            admitted.forEach(function (step) {
+                if (step.evt.once) {
+                    step.evt.spent = true;
+                    step.router.unregister(step.evt);
+                }
+
+                if (sink) step.context.stream = sink.open;
+
+                step.router.applyToQueue(step.evt, run, step.context);
+            });
+
+            if (done) {
+                run.push(function () {
+                    done();
+                });
+            }
+        };
+    };
+
+    /*
+    * @name Reply
+    *
+    * Runs the chain of a call and sends back the value returned by the
+    * handlers (or the error they threw) to the peer, unless the handlers
+    * opened a stream to reply (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Array} run
+    * @param {Object} sink
+    * @return {Promise}
+    *
+    */
+    Router.prototype.reply = function (data, run, sink) {
+        var self = this;
+
+        return new Promise(function (resolve) {
+            resolve(self.chain(run, data.data));
+        }).then(function (result) {
+            if (sink.stream) return;
+
+            self.send({ route: data.route, action: data.action, replyTo: data.id, data: result });
+        }, function (err) {
+            if (sink.stream) return sink.stream.error(err);
+
+            self.send({ route: data.route, action: data.action, replyTo: data.id, error: self.ExceptionHandler(err, data) });
+        });
+    };
+
+    /*
+    * @name Sink
+    *
+    * Returns the sink of a request, which opens the stream replying to it
+    * the first time a handler asks for it (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {{
+    *   stream: {Stream},
+    *   open: {Function} ()
+    * }}
+    *
+    */
+    Router.prototype.sink = function (data) {
+        var self = this;
+
+        var sink = {
+            stream: null,
+            open: function () {
+                if (!sink.stream) sink.stream = self.streams[data.id] = new Stream(self, data);
+
+                return sink.stream;
+            }
+        };
+
+        return sink;
+    };
+
+    /*
+    * @name Flow
+    *
+    * Hands the credit granted by the caller of a streamed request to its
+    * stream, or cancels it (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {None}
+    *
+    */
+    Router.prototype.flow = function (data) {
+        var stream = data && this.streams[data.id];
+
+        if (!stream) return;
+
+        if (data.cancel) {
+            stream.cancel();
+        } else {
+            stream.grant(Number(data.credit) || 0);
+        }
+    };
+
+    /*
+    * @name Fail
+    *
+    * Reports an error about a message, replying to the call or sending it
+    * on /socket/error (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {Error} error
+    * @return {None}
+    *
+    */
+    Router.prototype.fail = function (data, error) {
+        var envelope = this.ExceptionHandler(error, data);
+
+        if (data.id !== undefined && data.action == this.action.REQUEST) {
+            return this.send({ route: data.route, action: data.action, replyTo: data.id, error: envelope });
+        }
+
+        this.error(envelope);
+    };
+
+    /*
+    * @name Validate
+    *
+    * Validates a value against a JSON Schema and returns the errors found,
+    * each with the path of the failing value and a message. Supports type,
+    * enum, const, the string, number, array and object keywords, allOf,
+    * anyOf, oneOf and not (see Check Schema) (Not intended for public use)
+    *
+    * @function
+    * @param {Object} schema
+    * @param {*} value
+    * @param {String} path
+    * @return {Array}
+    *
+    */
+    Router.prototype.validate = function (schema, value, path) {
+        var self = this;
+        var errors = [];
+        var type = value === null ? 'null' : value instanceof Array ? 'array' : typeof value;
+
+        path = path || '';
+
+        var fail = function (message) {
+            errors.push({ path: path, message: message });
+        };
+
+        var equals = function (a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        };
+
+        var nested = function (subschema, subvalue, subpath) {
+            errors = errors.concat(self.validate(subschema, subvalue, subpath));
+        };
+
+        var passes = function (subschema) {
+            return !self.validate(subschema, value, path).length;
+        };
+
+        if (schema.type) {
+            var types = [].concat(schema.type);
+
+            if (!types.some(function (expected) {
+                return expected == type || expected == 'integer' && type == 'number' && Math.floor(value) === value;
+            })) {
+                fail('should be ' + types.join(' or '));
+
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(function (option) {
+            return equals(option, value);
+        })) {
+            fail('should be one of ' + JSON.stringify(schema.enum));
+        }
+
+        if (schema.hasOwnProperty('const') && !equals(schema.const, value)) {
+            fail('should be ' + JSON.stringify(schema.const));
+        }
+
+        if (type == 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail('should have at least ' + schema.minLength + ' characters');
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('should have at most ' + schema.maxLength + ' characters');
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail('should match ' + schema.pattern);
+        }
+
+        if (type == 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail('should be >= ' + schema.minimum);
+            if (schema.maximum !== undefined && value > schema.maximum) fail('should be <= ' + schema.maximum);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('should be > ' + schema.exclusiveMinimum);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('should be < ' + schema.exclusiveMaximum);
+            if (schema.multipleOf !== undefined && value / schema.multipleOf % 1 !== 0) fail('should be a multiple of ' + schema.multipleOf);
+        }
+
+        if (type == 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail('should have at least ' + schema.minItems + ' items');
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('should have at most ' + schema.maxItems + ' items');
+
+            if (schema.uniqueItems && value.some(function (item, i) {
+                return value.slice(0, i).some(function (other) {
+                    return equals(item, other);
+                });
+            })) {
+                fail('should not have duplicate items');
+            }
+
+            if (schema.items) {
+                value.forEach(function (item, i) {
+                    var itemSchema = schema.items instanceof Array ? schema.items[i] : schema.items;
+
+                    if (itemSchema) nested(itemSchema, item, path + '/' + i);
+                });
+            }
+        }
+
+        // Missing values miss all the required properties
+        if (type == 'object' || type == 'undefined') {
+            (schema.required || []).forEach(function (key) {
+                if (!value || !value.hasOwnProperty(key)) errors.push({ path: path + '/' + key, message: 'is required' });
+            });
+        }
+
+        if (type == 'object') {
+            var keys = Object.keys(value);
+
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail('should have at least ' + schema.minProperties + ' properties');
+            if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail('should have at most ' + schema.maxProperties + ' properties');
+
+            keys.forEach(function (key) {
+                var patterns = Object.keys(schema.patternProperties || {}).filter(function (pattern) {
+                    return new RegExp(pattern).test(key);
+                });
+
+                patterns.forEach(function (pattern) {
+                    nested(schema.patternProperties[pattern], value[key], path + '/' + key);
+                });
+
+                if (schema.properties && schema.properties.hasOwnProperty(key)) {
+                    nested(schema.properties[key], value[key], path + '/' + key);
+                } else if (patterns.length) {
+                    return;
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: path + '/' + key, message: 'is not allowed' });
+                } else if (typeof schema.additionalProperties == 'object') {
+                    nested(schema.additionalProperties, value[key], path + '/' + key);
+                }
+            });
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(function (subschema) {
+                nested(subschema, value, path);
+            });
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(passes)) {
+            fail('should match some schema in anyOf');
+        }
+
+        if (schema.oneOf && schema.oneOf.filter(passes).length != 1) {
+            fail('should match exactly one schema in oneOf');
+        }
+
+        if (schema.not && passes(schema.not)) {
+            fail('should not match the schema in not');
+        }
+
+        return errors;
+    };
+
+    /*
+    * @name Check Schema
+    *
+    * Returns the schema when validate supports all its keywords, and the
+    * ones of the schemas it nests, or throws an UNSUPPORTED_SCHEMA error
+    * naming the first keyword it does not support, eg: $ref, format,
+    * dependencies or if, so no message is taken as valid because of
+    * a keyword that is not checked (Not intended for public use)
+    *
+    * @function
+    * @param {Object} schema
+    * @param {String} path
+    * @return {Object}
+    *
+    */
+    Router.prototype.checkSchema = function (schema, path) {
+        var self = this;
+
+        path = path || '';
+
+        if (!schema || typeof schema != 'object' || schema instanceof Array) {
+            throw Object.assign(new Error('Invalid schema at ' + (path || '/') + ': should be an object'), { code: 'UNSUPPORTED_SCHEMA' });
+        }
+
+        Object.keys(schema).forEach(function (keyword) {
+            if (SCHEMA_KEYWORDS.indexOf(keyword) == -1) {
+                throw Object.assign(new Error('Unsupported schema keyword ' + keyword + ' at ' + (path || '/')), { code: 'UNSUPPORTED_SCHEMA' });
+            }
+        });
+
+        ['properties', 'patternProperties'].forEach(function (keyword) {
+            Object.keys(schema[keyword] || {}).forEach(function (key) {
+                self.checkSchema(schema[keyword][key], path + '/' + keyword + '/' + key);
+            });
+        });
+
+        ['items', 'allOf', 'anyOf', 'oneOf'].forEach(function (keyword) {
+            if (schema[keyword] instanceof Array) {
+                schema[keyword].forEach(function (subschema, i) {
+                    self.checkSchema(subschema, path + '/' + keyword + '/' + i);
+                });
+            } else if (schema[keyword]) {
+                self.checkSchema(schema[keyword], path + '/' + keyword);
+            }
+        });
+
+        if (typeof schema.additionalProperties == 'object') self.checkSchema(schema.additionalProperties, path + '/additionalProperties');
+        if (schema.not) self.checkSchema(schema.not, path + '/not');
+
+        return schema;
+    };
+
+    /*
+    * @name Resolve Call
+    *
+    * Settles the pending call answered by the received reply. The chunks
+    * of a streamed reply are handed to the stream of the caller, or gathered
+    * in an array when it was a call (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @return {None}
+    *
+    */
+    Router.prototype.resolveCall = function (data) {
+        var call = this.pendingCalls[data.replyTo];
+
+        if (!call) return;
+
+        if (call instanceof Receiver) return call.push(data);
+
+        if (data.seq !== undefined && !data.end && !data.error) {
+            (call.chunks = call.chunks || [])[data.seq] = data.data;
+
+            return;
+        }
+
+        clearTimeout(call.timer);
+        delete this.pendingCalls[data.replyTo];
+
+        if (data.error) {
+            call.reject(Object.assign(new Error(data.error.message), data.error));
+        } else {
+            call.resolve(data.end ? call.chunks || [] : data.data);
+        }
+    };
+
+    /*
+    * @name Runner
+    *
+    * Runs the provided callbacks array and reports any error, thrown or
+    * rejected, through error (Not intended for public use)
+    *
+    * @function
+    * @param {Array} run
+    * @param {Object} data
+    * @param {Object} message
+    *   Message being run, referenced by the errors
+    * @return {Promise}
+    *
+    */
+    Router.prototype.runner = function (run, data, message) {
+        var self = this;
+        var result;
+
+        try {
+            result = this.chain(run, data);
+        } catch (e) {
+            return Promise.resolve(this.error(this.ExceptionHandler(e, message)));
+        }
+
+        return Promise.resolve(result).catch(function (e) {
+            self.error(self.ExceptionHandler(e, message));
+        });
+    };
+
+    /*
+    * @name Chain
+    *
+    * Runs the callbacks in order. When a callback returns a promise the next
+    * one waits for it to resolve. The chain stops when a callback throws,
+    * rejects or calls halt. Callbacks declaring next continue the chain only
+    * when they call it, and the promise it returns resolves once the
+    * downstream callbacks are done. Returns the last value returned by the
+    * callbacks, or a promise of it (Not intended for public use)
+    *
+    * @function
+    * @param {Array} run
+    * @param {Object} data
+    * @return {*}
+    *
+    */
+    Router.prototype.chain = function (run, data) {
+        var result;
+        var halted = false;
+
+        var halt = function () {
+            halted = true;
+        };
+
+        var settle = function (value, then) {
+            return value && typeof value.then == 'function' ? value.then(then) : then(value);
+        };
+
+        var step = function (i) {
+            if (halted || i >= run.length) return result;
+
+            if (run[i].length >= 3) {
+                var downstream;
+
+                var next = function () {
+                    return downstream || (downstream = new Promise(function (resolve) {
+                        resolve(step(i + 1));
+                    }));
+                };
+
+                return settle(run[i](data, halt, next), function () {
+                    return downstream ? downstream.then(function () {
+                        return result;
+                    }) : result;
+                });
+            }
+
+            return settle(run[i](data, halt), function (value) {
+                if (value !== undefined) result = value;
+
+                return step(i + 1);
+            });
+        };
+
+        return step(0);
+    };
+
+    /*
+    * @name Routify
+    *
+    * Turns a Route String into a regex. A ** segment matches any number of
+    * segments, none included, every other * matches a single segment (none
+    * of them match the reserved $ routes), every :name captures the rest of
+    * the segment as a named parameter and :name? makes the segment optional. The names of
+    * the parameters are kept in the keys property of the regex. Any other
+    * character keeps its regex meaning, but a $ followed by a name, which is
+    * matched literally. Regexes are used as they are, without
+    * the global and sticky flags, and their groups are captured as
+    * parameters by number (Not intended for public use)
+    *
+    * @function
+    * @param {String|RegExp} route
+    * @return {Regex}
+    *
+    */
+    Router.prototype.routify = function (n) {
+        var keys = [];
+        var route;
+
+        if (n instanceof RegExp) {
+            route = new RegExp(n.source, n.flags.replace(/[gy]/g, ''));
+
+            for (var i = 1; i < new RegExp(n.source + '|').exec('').length; i++) {
+                keys.push(String(i));
+            }
+
+            route.keys = keys;
+
+            return route;
+        }
+
+        // Globstars are kept apart until the single segment
+        // Wildcards have been replaced. A $ followed by a name, as
+        // In the reserved routes, is matched literally, where it could
+        // Never be an anchor, once the parameters (whose names can
+        // Have it) are replaced. Any other $ is still an anchor.
+        // Parameters capture the rest of their segment, so they
+        // Can follow a prefix ('/artist/v:version'), but only the
+        // Whole segment ones can be optional
+        route = new RegExp('^' + n.replace(/(^|\/)\*\*+(?=\/|$)/g, function (globstar, start) {
+            return start ? '\u0001' : '\u0002';
+        }).replace(/(^|\/)?:([A-Za-z_$][\w$]*)(\?(?=\/|$))?/g, function (param, start, key, optional) {
+            keys.push(key);
+            start = start || '';
+
+            if (!optional) return start + '([^\/]+)';
+
+            return start ? '(?:' + start + '([^\/]+))?' : '([^\/]+)?';
+        }).replace(/\$(?=\w)/g, '\\$').replace(/\*+/g, '(?!\\$)[^\/]+').replace(/\//g, '\\/').replace(/\u0001/g, '(?:\\/.*)?').replace(/\u0002/g, '(?:(?!\\$).*)?') + '$', '');
+
+        route.keys = keys;
+
+        return route;
+    };
+
+    /*
+    * @name Error
+    *
+    * Sends an error whenever the server or the client
+    * has failed (Not intended for public use)
+    *
+    * @function
+    * @param {Error} error
+    * @return {None}
+    *
+    */
+    Router.prototype.error = function (error) {
+        this.send({ route: '/socket/error', data: error });
+    };
+
+    /*
+    * @name Execute Tasks
+    *
+    * Executes all the tasks by a hook identifier (Not intended for public use)
+    *
+    * @function
+    * @param {Object} data
+    * @param {String} position
+    * @return {None}
+    *
+    */
+    Router.prototype.executeTaks = function (data, position) {
+        var tasks = this.registeredTasks.slice();
+
+        for (var i = 0; i < tasks.length; i++) {
+            if (this.shouldTaskExecute(data, tasks[i], position)) {
+                if (tasks[i].once) this.unregister(tasks[i]);
+
+                var errors = tasks[i].schema ? this.validate(tasks[i].schema, data.data) : [];
+
+                if (errors.length) {
+                    throw Object.assign(new Error('Invalid message for ' + data.route), { code: 'INVALID_MESSAGE', details: errors });
+                }
+
+                if (tasks[i].fn) tasks[i].fn.bind(ctx)(data);
+            }
+        }
+
+        // The hooks of the mounted routers receive the
+        // Message with the route without their prefix
+        this.mounts.forEach(function (mount) {
+            var rest = this.unprefix(mount, data.route);
+
+            if (rest) mount.router.executeTaks(Object.assign({}, data, { route: rest.route }), position);
+        }, this);
+    };
+
+    /*
+    * @name Stream
+    *
+    * Writable side of a streamed reply, returned by context.stream() to the
+    * handlers of a request. Chunks are sent as frames numbered in sequence
+    * while the caller has credit for them, the rest wait until it asks for
+    * more (Not intended for public use)
+    *
+    * @constructor
+    * @param {Router} router
+    * @param {Object} request
+    * @return {Stream}
+    *
+    */
+    function Stream(router, request) {
+        this.router = router;
+        this.request = request;
+        this.credit = request.credit === undefined ? Infinity : request.credit;
+        this.seq = 0;
+        this.queue = [];
+        this.ended = false;
+        this.cancelled = false;
+    }
+
+    /*
+    * @name Write
+    *
+    * Sends a chunk. The promise returned resolves once it is sent, so
+    * waiting for it keeps the handler in pace with the caller, and rejects
+    * with a STREAM_CANCELLED error when the caller cancelled the stream
+    *
+    * @function
+    * @param {*} chunk
+    * @return {Promise}
+    *
+    */
+    Stream.prototype.write = function (chunk) {
+        if (this.ended) return this.enqueue(null);
+
+        return this.enqueue({ data: chunk });
+    };
+
+    /*
+    * @name End
+    *
+    * Ends the stream once the chunks written are sent
+    *
+    * @function
+    * @return {Promise}
+    *
+    */
+    Stream.prototype.end = function () {
+        if (this.ended) return Promise.resolve();
+
+        this.ended = true;
+
+        return this.enqueue({ end: true });
+    };
+
+    /*
+    * @name Error
+    *
+    * Fails the stream once the chunks written are sent. The caller receives
+    * the serialized error
+    *
+    * @function
+    * @param {Error} error
+    * @return {Promise}
+    *
+    */
+    Stream.prototype.error = function (error) {
+        if (this.ended) return Promise.resolve();
+
+        this.ended = true;
+
+        return this.enqueue({ error: this.router.ExceptionHandler(error, this.request) });
+    };
+
+    /*
+    * @name Enqueue
+    *
+    * Queues a frame and sends the ones the caller has credit for, without
+    * a frame the write fails as the stream already ended. Handlers do not
+    * have to wait for the writes: the promise returned is marked as
+    * handled, so a stream cancelled with writes nobody waits for does not
+    * leave unhandled rejections (Not intended for public use)
+    *
+    * @function
+    * @param {Object} frame
+    * @return {Promise}
+    *
+    */
+    Stream.prototype.enqueue = function (frame) {
+        var self = this;
+
+        var written = new Promise(function (resolve, reject) {
+            if (!frame) return reject(self.closedError());
+
+            self.queue.push({ frame: frame, resolve: resolve, reject: reject });
+            self.pump();
+        });
+
+        written.catch(function () {});
+
+        return written;
+    };
+
+    /*
+    * @name Pump
+    *
+    * Sends the waiting frames the caller has credit for. Only the chunks
+    * take credit (Not intended for public use)
+    *
+    * @function
+    * @return {None}
+    *
+    */
+    Stream.prototype.pump = function () {
+        var request = this.request;
+
+        while (this.queue.length && (this.credit > 0 || !('data' in this.queue[0].frame))) {
+            var entry = this.queue.shift();
+
+            if ('data' in entry.frame) this.credit--;
+
+            this.router.send(Object.assign({ route: request.route, action: request.action, replyTo: request.id, seq: this.seq++ }, entry.frame));
+
+            entry.resolve();
+        }
+
+        if (this.ended && !this.queue.length) delete this.router.streams[request.id];
+    };
+
+    /*
+    * @name Grant
+    *
+    * Adds the credit granted by the caller and sends the waiting frames (Not intended for public use)
+    *
+    * @function
+    * @param {Number} credit
+    * @return {None}
+    *
+    */
+    Stream.prototype.grant = function (credit) {
+        this.credit += credit;
+        this.pump();
+    };
+
+    /*
+    * @name Cancel
+    *
+    * Drops the waiting frames when the caller cancels the stream (Not intended for public use)
+    *
+    * @function
+    * @return {None}
+    *
+    */
+    Stream.prototype.cancel = function () {
+        this.ended = true;
+        this.cancelled = true;
+
+        var error = this.closedError();
+
+        this.queue.splice(0).forEach(function (entry) {
+            entry.reject(error);
+        });
+
+        delete this.router.streams[this.request.id];
+    };
+
+    /*
+    * @name Closed Error
+    *
+    * Returns the error of the writes after the stream ended (Not intended for public use)
+    *
+    * @function
+    * @return {Error}
+    *
+    */
+    Stream.prototype.closedError = function () {
+        return this.cancelled ? Object.assign(new Error('Stream of ' + this.request.route + ' cancelled'), { code: 'STREAM_CANCELLED' }) : Object.assign(new Error('Stream of ' + this.request.route + ' already ended'), { code: 'STREAM_ENDED' });
+    };
+
+    /*
+    * @name Receiver
+    *
+    * Async iterator over the chunks of a streamed reply, returned by
+    * stream(). Frames are put back in sequence and buffered until they
+    * are consumed, asking the peer for more every time half of the
+    * highWaterMark is consumed (Not intended for public use)
+    *
+    * @constructor
+    * @param {Router} router
+    * @param {Number} id
+    * @param {String} route
+    * @param {{
+    *   timeout: {Number},
+    *   highWaterMark: {Number}
+    * }} options
+    * @return {Receiver}
+    *
+    */
+    function Receiver(router, id, route, options) {
+        this.router = router;
+        this.id = id;
+        this.route = route;
+        this.timeout = options.timeout;
+        this.highWaterMark = Math.max(1, options.highWaterMark);
+        this.chunks = [];
+        this.held = {};
+        this.seq = 0;
+        this.consumed = 0;
+        this.waiting = null;
+        this.timer = null;
+        this.finished = false;
+        this.failure = null;
+    }
+
+    /*
+    * @name Next
+    *
+    * Resolves with the next chunk, waiting for it when none is buffered
+    *
+    * @function
+    * @return {Promise}
+    *
+    */
+    Receiver.prototype.next = function () {
+        var self = this;
+
+        if (this.waiting) return Promise.reject(new Error('Stream from ' + this.route + ' is already waiting for a chunk'));
+
+        return new Promise(function (resolve, reject) {
+            self.waiting = { resolve: resolve, reject: reject };
+            self.flush();
+
+            if (self.waiting) {
+                self.timer = setTimeout(function () {
+                    self.cancel();
+                    self.finish(new Error('Stream from ' + self.route + ' timed out after ' + self.timeout + 'ms'));
+                }, self.timeout);
+            }
+        });
+    };
+
+    /*
+    * @name Return
+    *
+    * Stops the iteration, cancelling the stream if it did not finish
+    *
+    * @function
+    * @return {Promise}
+    *
+    */
+    Receiver.prototype.return = function () {
+        this.cancel();
+        this.chunks = [];
+        this.finish(null);
+
+        return Promise.resolve({ value: undefined, done: true });
+    };
+
+    if (typeof Symbol == 'function' && Symbol.asyncIterator) {
+        Receiver.prototype[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    /*
+    * @name Push
+    *
+    * Receives a frame of the reply, putting it back in sequence. A reply
+    * without a sequence is a value replied without a stream. The peer can
+    * not send more frames than the credit granted, so the stream fails
+    * with a STREAM_OUT_OF_SEQUENCE error when a frame is not an integer
+    * within the highWaterMark from the next one expected (Not intended for public use)
+    *
+    * @function
+    * @param {Object} frame
+    * @return {None}
+    *
+    */
+    Receiver.prototype.push = function (frame) {
+        if (this.finished) return;
+
+        if (frame.seq === undefined) {
+            if (!frame.error) this.chunks.push(frame.data);
+
+            return this.finish(frame.error ? Object.assign(new Error(frame.error.message), frame.error) : null);
+        }
+
+        if (!(frame.seq % 1 === 0 && frame.seq >= this.seq && frame.seq <= this.seq + this.highWaterMark)) {
+            this.cancel();
+
+            return this.finish(Object.assign(new Error('Frame ' + frame.seq + ' of the stream from ' + this.route + ' is out of sequence'), { code: 'STREAM_OUT_OF_SEQUENCE' }));
+        }
+
+        this.held[frame.seq] = frame;
+
+        while (this.held[this.seq] && !this.finished) {
+            frame = this.held[this.seq];
+            delete this.held[this.seq++];
+
+            if (frame.error) {
+                this.finish(Object.assign(new Error(frame.error.message), frame.error));
+            } else if (frame.end) {
+                this.finish(null);
+            } else {
+                this.chunks.push(frame.data);
+            }
+        }
+
+        this.flush();
+    };
+
+    /*
+    * @name Flush
+    *
+    * Settles the pending next with the first chunk buffered, the error
+    * or the end of the stream (Not intended for public use)
+    *
+    * @function
+    * @return {None}
+    *
+    */
+    Receiver.prototype.flush = function () {
+        var waiting = this.waiting;
+
+        if (!waiting || !this.chunks.length && !this.finished) return;
+
+        clearTimeout(this.timer);
+        this.waiting = null;
+
+        if (this.chunks.length) return waiting.resolve({ value: this.take(), done: false });
+
+        if (this.failure) {
+            var failure = this.failure;
+
+            this.failure = null;
+
+            return waiting.reject(failure);
+        }
+
+        waiting.resolve({ value: undefined, done: true });
+    };
+
+    /*
+    * @name Take
+    *
+    * Takes the first chunk buffered, asking the peer for more when half of
+    * the highWaterMark was consumed (Not intended for public use)
+    *
+    * @function
+    * @return {*}
+    *
+    */
+    Receiver.prototype.take = function () {
+        this.consumed++;
+
+        if (!this.finished && this.consumed >= Math.ceil(this.highWaterMark / 2)) {
+            this.router.send({ route: STREAM, data: { id: this.id, credit: this.consumed } });
+            this.consumed = 0;
+        }
+
+        return this.chunks.shift();
+    };
+
+    /*
+    * @name Finish
+    *
+    * Marks the stream as finished, with the error it failed with (Not intended for public use)
+    *
+    * @function
+    * @param {Error} failure
+    * @return {None}
+    *
+    */
+    Receiver.prototype.finish = function (failure) {
+        if (this.finished) return;
+
+        this.finished = true;
+        this.failure = failure;
+
+        delete this.router.pendingCalls[this.id];
+
+        this.flush();
+    };
+
+    /*
+    * @name Cancel
+    *
+    * Tells the peer to stop streaming (Not intended for public use)
+    *
+    * @function
+    * @return {None}
+    *
+    */
+    Receiver.prototype.cancel = function () {
+        if (!this.finished) this.router.send({ route: STREAM, data: { id: this.id, cancel: true } });
+    };
+
+    return new Router(connection_query, ctx, options);
+};
+
+/*
+* Codecs turn messages into frames and frames back into messages. Every codec
+* has a name, used to negotiate it with the peer, tells whether it produces
+* binary frames and implements encode and decode.
+*
+*/
+WebSocketRouter.codecs = {};
+
+/*
+* @name JSON Codec
+*
+* Default codec, sends the messages as JSON text frames.
+*
+*/
+WebSocketRouter.codecs.json = {
+    name: 'json',
+    binary: false,
+    encode: function (message) {
+        return JSON.stringify(message);
+    },
+    decode: function (frame) {
+        return JSON.parse(frame);
+    }
+};
+
+/*
+* @name MessagePack Codec
+*
+* Sends the messages as MessagePack binary frames. Values are encoded the
+* way JSON would see them: undefined and function properties are skipped
+* and objects implementing toJSON are encoded as its result. Uint8Arrays
+* and ArrayBuffers are encoded as binary data and decoded as Uint8Arrays.
+*
+*/
+WebSocketRouter.codecs.msgpack = {
+    name: 'msgpack',
+    binary: true,
+    encode: function (message) {
+        var bytes = [];
+        var scratch = new DataView(new ArrayBuffer(8));
+
+        var number = function (type, size, setter, value) {
+            scratch[setter](0, value);
+            bytes.push(type);
+
+            for (var i = 0; i < size; i++) {
+                bytes.push(scratch.getUint8(i));
+            }
+        };
+
+        var header = function (length, fix, fixMax, types) {
+            if (fix !== null && length <= fixMax) {
+                bytes.push(fix | length);
+            } else if (types[0] && length < 0x100) {
+                bytes.push(types[0], length);
+            } else if (length < 0x10000) {
+                number(types[1], 2, 'setUint16', length);
+            } else {
+                number(types[2], 4, 'setUint32', length);
+            }
+        };
+
+        var utf8 = function (string) {
+            var encoded = [];
+
+            for (var i = 0; i < string.length; i++) {
+                var code = string.charCodeAt(i);
+
+                if (code >= 0xd800 && code < 0xdc00 && i + 1 < string.length) {
+                    var low = string.charCodeAt(i + 1);
+
+                    if (low >= 0xdc00 && low < 0xe000) {
+                        code = 0x10000 + (code - 0xd800 << 10) + (low - 0xdc00);
+                        i++;
+                    }
+                }
+
+                if (code < 0x80) {
+                    encoded.push(code);
+                } else if (code < 0x800) {
+                    encoded.push(0xc0 | code >> 6, 0x80 | code & 0x3f);
+                } else if (code < 0x10000) {
+                    encoded.push(0xe0 | code >> 12, 0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+                } else {
+                    encoded.push(0xf0 | code >> 18, 0x80 | code >> 12 & 0x3f, 0x80 | code >> 6 & 0x3f, 0x80 | code & 0x3f);
+                }
+            }
+
+            return encoded;
+        };
+
+        var write = function (value) {
+            if (value && typeof value.toJSON == 'function') {
+                value = value.toJSON();
+            }
+
+            if (value === null || value === undefined) {
+                bytes.push(0xc0);
+            } else if (value === false || value === true) {
+                bytes.push(value ? 0xc3 : 0xc2);
+            } else if (typeof value == 'number') {
+                if (Math.floor(value) !== value || Math.abs(value) > 0xffffffff) {
+                    number(0xcb, 8, 'setFloat64', value);
+                } else if (value >= 0) {
+                    if (value < 0x80) bytes.push(value);
+                    else if (value < 0x100) number(0xcc, 1, 'setUint8', value);
+                    else if (value < 0x10000) number(0xcd, 2, 'setUint16', value);
+                    else number(0xce, 4, 'setUint32', value);
+                } else {
+                    if (value >= -0x20) bytes.push(value & 0xff);
+                    else if (value >= -0x80) number(0xd0, 1, 'setInt8', value);
+                    else if (value >= -0x8000) number(0xd1, 2, 'setInt16', value);
+                    else if (value >= -0x80000000) number(0xd2, 4, 'setInt32', value);
+                    else number(0xcb, 8, 'setFloat64', value);
+                }
+            } else if (typeof value == 'string') {
+                var encoded = utf8(value);
+
+                header(encoded.length, 0xa0, 0x1f, [0xd9, 0xda, 0xdb]);
+
+                for (var i = 0; i < encoded.length; i++) {
+                    bytes.push(encoded[i]);
+                }
+            } else if (value instanceof ArrayBuffer || value instanceof Uint8Array) {
+                var binary = new Uint8Array(value);
+
+                header(binary.length, null, 0, [0xc4, 0xc5, 0xc6]);
+
+                for (var j = 0; j < binary.length; j++) {
+                    bytes.push(binary[j]);
+                }
+            } else if (value instanceof Array) {
+                header(value.length, 0x90, 0x0f, [null, 0xdc, 0xdd]);
+                value.forEach(function (item) {
+                    write(typeof item == 'function' ? null : item);
+                });
+            } else {
+                var keys = Object.keys(value).filter(function (key) {
+                    return value[key] !== undefined && typeof value[key] != 'function';
+                });
+
+                header(keys.length, 0x80, 0x0f, [null, 0xde, 0xdf]);
+                keys.forEach(function (key) {
+                    write(key);
+                    write(value[key]);
+                });
+            }
+        };
+
+        write(message);
+
+        return new Uint8Array(bytes);
+    },
+    decode: function (frame) {
+        var bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var offset = 0;
+
+        // Lengths are checked against the frame before reading, so a
+        // Header can not make the decoder read past it nor allocate
+        // More than the frame holds
+        var need = function (length) {
+            if (offset + length > bytes.length) throw new Error('Unexpected end of msgpack data');
+        };
+
+        var number = function (getter, size) {
+            need(size);
+
+            var value = view[getter](offset);
+
+            offset += size;
+
+            return value;
+        };
+
+        var utf8 = function (length) {
+            var string = '';
+            var end = offset + length;
+
+            need(length);
+
+            while (offset < end) {
+                var code = bytes[offset++];
+
+                if (offset + (code >= 0xf0 ? 3 : code >= 0xe0 ? 2 : code >= 0xc0 ? 1 : 0) > end) {
+                    throw new Error('Unexpected end of msgpack data');
+                }
+
+                if (code >= 0xf0) {
+                    code = (code & 0x07) << 18 | (bytes[offset++] & 0x3f) << 12 | (bytes[offset++] & 0x3f) << 6 | bytes[offset++] & 0x3f;
+                } else if (code >= 0xe0) {
+                    code = (code & 0x0f) << 12 | (bytes[offset++] & 0x3f) << 6 | bytes[offset++] & 0x3f;
+                } else if (code >= 0xc0) {
+                    code = (code & 0x1f) << 6 | bytes[offset++] & 0x3f;
+                }
+
+                if (code >= 0x10000) {
+                    code -= 0x10000;
+                    string += String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+                } else {
+                    string += String.fromCharCode(code);
+                }
+            }
+
+            return string;
+        };
+
+        var binary = function (length) {
+            need(length);
+
+            offset += length;
+
+            return bytes.slice(offset - length, offset);
+        };
+
+        var array = function (length) {
+            var value = [];
+
+            // Every element takes a byte at least
+            need(length);
+
+            for (var i = 0; i < length; i++) {
+                value.push(read());
+            }
+
+            return value;
+        };
+
+        var map = function (length) {
+            var value = {};
+
+            // Every key and value take a byte at least
+            need(length * 2);
+
+            for (var i = 0; i < length; i++) {
+                var key = read();
+
+                Object.defineProperty(value, key, { value: read(), enumerable: true, writable: true, configurable: true });
+            }
+
+            return value;
+        };
+
+        var read = function () {
+            need(1);
+
+            var type = bytes[offset++];
+
+            if (type < 0x80) return type;
+            if (type < 0x90) return map(type & 0x0f);
+            if (type < 0xa0) return array(type & 0x0f);
+            if (type < 0xc0) return utf8(type & 0x1f);
+            if (type >= 0xe0) return type - 0x100;
+
+            switch (type) {
+                case 0xc0: return null;
+                case 0xc2: return false;
+                case 0xc3: return true;
+                case 0xc4: return binary(number('getUint8', 1));
+                case 0xc5: return binary(number('getUint16', 2));
+                case 0xc6: return binary(number('getUint32', 4));
+                case 0xca: return number('getFloat32', 4);
+                case 0xcb: return number('getFloat64', 8);
+                case 0xcc: return number('getUint8', 1);
+                case 0xcd: return number('getUint16', 2);
+                case 0xce: return number('getUint32', 4);
+                case 0xcf: return number('getUint32', 4) * 0x100000000 + number('getUint32', 4);
+                case 0xd0: return number('getInt8', 1);
+                case 0xd1: return number('getInt16', 2);
+                case 0xd2: return number('getInt32', 4);
+                case 0xd3: return number('getInt32', 4) * 0x100000000 + number('getUint32', 4);
+                case 0xd9: return utf8(number('getUint8', 1));
+                case 0xda: return utf8(number('getUint16', 2));
+                case 0xdb: return utf8(number('getUint32', 4));
+                case 0xdc: return array(number('getUint16', 2));
+                case 0xdd: return array(number('getUint32', 4));
+                case 0xde: return map(number('getUint16', 2));
+                case 0xdf: return map(number('getUint32', 4));
+            }
+
+            throw new Error('Unsupported MessagePack type 0x' + type.toString(16));
+        };
+
+        return read();
+    }
+};
+
+/*
+* @name Memory Storage
+*
+* Outbox storage that keeps the messages in memory. They are lost when
+* the page is reloaded or the process restarted.
+*
+* @constructor
+* @return {MemoryStorage}
+*
+*/
+WebSocketRouter.MemoryStorage = function MemoryStorage() {
+    this.entries = [];
+};
+
+WebSocketRouter.MemoryStorage.prototype.load = function () {
+    return Promise.resolve(this.entries.slice());
+};
+
+WebSocketRouter.MemoryStorage.prototype.save = function (entries) {
+    this.entries = entries.slice();
+
+    return Promise.resolve();
+};
+
+WebSocketRouter.MemoryStorage.prototype.append = function (entry) {
+    this.entries.push(entry);
+
+    return Promise.resolve();
+};
+
+/*
+* @name Local Storage
+*
+* Outbox storage that keeps the messages in the browser localStorage
+* under the given key.
+*
+* @constructor
+* @param {String} key
+*   Defines the localStorage key (web-socket-router-outbox by default)
+* @param {Storage} storage
+*   Defines the storage to use (window.localStorage by default)
+* @return {LocalStorage}
+*
+*/
+WebSocketRouter.LocalStorage = function LocalStorage(key, storage) {
+    this.key = key || 'web-socket-router-outbox';
+    this.storage = storage || localStorage;
+};
+
+WebSocketRouter.LocalStorage.prototype.load = function () {
+    var self = this;
+
+    return new Promise(function (resolve) {
+        resolve(JSON.parse(self.storage.getItem(self.key) || '[]'));
+    });
+};
+
+WebSocketRouter.LocalStorage.prototype.save = function (entries) {
+    var self = this;
+
+    return new Promise(function (resolve) {
+        resolve(self.storage.setItem(self.key, JSON.stringify(entries)));
+    });
+};
+
+/*
+* @name IndexedDB Storage
+*
+* Outbox storage that keeps the messages in an IndexedDB database of
+* the browser, one record per message, so new messages are added alone.
+*
+* @constructor
+* @param {String} name
+*   Defines the name of the database (web-socket-router-outbox by default)
+* @param {IDBFactory} factory
+*   Defines the IndexedDB to use (window.indexedDB by default)
+* @return {IndexedDBStorage}
+*
+*/
+WebSocketRouter.IndexedDBStorage = function IndexedDBStorage(name, factory) {
+    this.name = name || 'web-socket-router-outbox';
+    this.factory = factory || indexedDB;
+    this.db = null;
+};
+
+WebSocketRouter.IndexedDBStorage.prototype.load = function () {
+    return this.transaction('readonly', function (store) {
+        return store.getAll();
+    });
+};
+
+WebSocketRouter.IndexedDBStorage.prototype.save = function (entries) {
+    return this.transaction('readwrite', function (store) {
+        store.clear();
+
+        entries.forEach(function (entry) {
+            store.add(entry);
+        });
+    });
+};
+
+WebSocketRouter.IndexedDBStorage.prototype.append = function (entry) {
+    return this.transaction('readwrite', function (store) {
+        store.add(entry);
+    });
+};
+
+/*
+* @name Open
+*
+* Opens the database the first time, creating its store of
+* entries (Not intended for public use)
+*
+* @function
+* @return {Promise}
+*
+*/
+WebSocketRouter.IndexedDBStorage.prototype.open = function () {
+    var self = this;
+
+    if (this.db) return this.db;
+
+    // A database that could not be opened is opened again next time
+    this.db = new Promise(function (resolve, reject) {
+        var request = self.factory.open(self.name, 1);
+
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore('entries', { autoIncrement: true });
+        };
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            reject(request.error);
+        };
+    }).catch(function (err) {
+        self.db = null;
+
+        throw err;
+    });
+
+    return this.db;
+};
+
+/*
+* @name Transaction
+*
+* Runs the function on the store of entries in a transaction, resolved
+* with the result of the request it returns once the transaction
+* completes (Not intended for public use)
+*
+* @function
+* @param {String} mode
+* @param {Function} fn
+* @return {Promise}
+*
+*/
+WebSocketRouter.IndexedDBStorage.prototype.transaction = function (mode, fn) {
+    return this.open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var transaction = db.transaction('entries', mode);
+            var request = fn(transaction.objectStore('entries'));
+
+            transaction.oncomplete = function () {
+                resolve(request && request.result);
+            };
+            transaction.onerror = transaction.onabort = function () {
+                reject(transaction.error);
+            };
+        });
+    });
 };
 
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') module.exports = WebSocketRouter;
@@ -0,0 +1,73 @@
+'use strict';
+
+var fs = require('fs');
+
+/*
+* @name File Storage
+*
+* Outbox storage that keeps the messages in a file (Node only), one JSON
+* entry per line, so new messages are appended to it. It is kept apart
+* from the client, so bundling the client for the browser does not
+* bundle fs.
+*
+* @constructor
+* @param {String} path
+*   Defines the path of the file
+* @return {FileStorage}
+*
+*/
+var FileStorage = function FileStorage(path) {
+    this.path = path;
+};
+
+FileStorage.prototype.load = function () {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+        fs.readFile(self.path, 'utf8', function (err, content) {
+            if (err && err.code != 'ENOENT') return reject(err);
+
+            content = content || '';
+
+            try {
+
+                // Files written as a single JSON array are read too
+                if (content.charAt(0) == '[') return resolve(JSON.parse(content));
+
+                resolve(content.split('\n').filter(Boolean).map(function (line) {
+                    return JSON.parse(line);
+                }));
+            } catch (err) {
+                reject(err);
+            }
+        });
+    });
+};
+
+FileStorage.prototype.save = function (entries) {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+        fs.writeFile(self.path, entries.map(function (entry) {
+            return JSON.stringify(entry) + '\n';
+        }).join(''), function (err) {
+            if (err) return reject(err);
+
+            resolve();
+        });
+    });
+};
+
+FileStorage.prototype.append = function (entry) {
+    var self = this;
+
+    return new Promise(function (resolve, reject) {
+        fs.appendFile(self.path, JSON.stringify(entry) + '\n', function (err) {
+            if (err) return reject(err);
+
+            resolve();
+        });
+    });
+};
+
+module.exports = FileStorage;
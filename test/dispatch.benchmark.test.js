@@ -0,0 +1,80 @@
+const WebSocketRouter = require('../Server');
+
+const build = (count) => {
+  const router = new WebSocketRouter(null);
+  const hits = [];
+
+  for (let i = 0; i < count; i++) {
+    router.on('/artist/' + i + '/albums', () => {}).action(router.action.CREATE);
+    router.on('/label/:id/artist/' + i, () => {}).action(router.action.UPDATE);
+  }
+
+  router.on('/artist/:id/albums', (data, context) => hits.push(context.params.id)).action(router.action.CREATE);
+  router.on('/artist/*/albums', () => hits.push('*'));
+
+  return { router, hits };
+};
+
+const checked = (router) => {
+  const check = jest.spyOn(router, 'shouldEventExecute');
+
+  router.dispatch({ route: '/artist/7/albums', action: router.action.CREATE, data: {} });
+  check.mockRestore();
+
+  return check.mock.calls.length;
+};
+
+test('Should look up only the routes matching the message', () => {
+  const small = build(20);
+  const large = build(2000);
+  const message = { route: '/artist/7/albums', action: small.router.action.CREATE };
+
+  expect(small.router.lookup(message).length).toBe(3);
+  expect(large.router.lookup(message).length).toBe(3);
+});
+
+test('Should keep the registration order and match params and wildcards', () => {
+  const { router, hits } = build(20);
+
+  router.dispatch({ route: '/artist/7/albums', action: router.action.CREATE, data: {} });
+  router.dispatch({ route: '/artist/$7/albums', action: router.action.CREATE, data: {} });
+
+  expect(hits).toEqual(['7', '*', '$7']);
+});
+
+test('Should rebuild the trie when listeners change', () => {
+  const { router, hits } = build(20);
+  const listener = router.on('/artist/:id/*', () => hits.push('new')).action(router.action.CREATE);
+
+  router.dispatch({ route: '/artist/7/albums', action: router.action.CREATE, data: {} });
+  listener.remove();
+  router.dispatch({ route: '/artist/7/albums', action: router.action.CREATE, data: {} });
+
+  expect(hits).toEqual(['7', '*', 'new', '7', '*']);
+});
+
+test('Should check the same listeners no matter the number of routes', () => {
+  const small = build(20);
+  const large = build(2000);
+
+  // A linear scan would check every listener
+  expect(checked(small.router)).toBe(3);
+  expect(checked(large.router)).toBe(3);
+});
+
+test('Should match and explain the listeners whose action is a regular expression', () => {
+  const { router, hits } = build(20);
+
+  router.on('/label/:id', () => hits.push('alternation')).action('UPDATE|CREATE');
+  router.on('/label/:id', () => hits.push('dot')).action('UPD.TE');
+
+  router.dispatch({ route: '/label/1', action: router.action.CREATE, data: {} });
+  router.dispatch({ route: '/label/1', action: router.action.UPDATE, data: {} });
+  router.dispatch({ route: '/label/1', action: router.action.DELETE, data: {} });
+
+  const explained = router.explain({ route: '/label/1', action: router.action.DELETE });
+
+  expect(hits).toEqual(['alternation', 'alternation', 'dot']);
+  expect(explained.run.length).toBe(0);
+  expect(explained.skipped.filter(route => route.reason != 'route').map(route => [route.action, route.reason])).toEqual([['UPDATE|CREATE', 'action'], ['UPD.TE', 'action']]);
+});
@@ -0,0 +1,771 @@
+const EventEmitter = require('events');
+
+// Define a connection that behaves like the one provided by websocket/ws
+class Connection extends EventEmitter {
+  constructor () {
+    super();
+    this.send = jest.fn();
+  }
+}
+
+// Define a connection that only dispatches events, as the WHATWG WebSocket
+class Target {
+  constructor () {
+    this.listeners = {};
+    this.send = jest.fn();
+  }
+
+  addEventListener (type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatchEvent (event) {
+    (this.listeners[event.type] || []).forEach(listener => listener(event));
+  }
+}
+
+const WebSocketRouter = require('../Server');
+
+test('Should reply to a call with the value returned by the request handler', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+
+  router.request('/artist/*', (artist) => ({ id: artist.id, name: 'Pearl Jam' }));
+
+  return router.dispatch({ route: '/artist/1', action: 'REQUEST', id: 1, data: { id: 1 } }).then(() => {
+    expect(JSON.parse(connection.send.mock.calls[0][0])).toEqual({
+      route: '/artist/1', action: 'REQUEST', replyTo: 1, data: { id: 1, name: 'Pearl Jam' }
+    });
+  });
+});
+
+test('Should reply with an error when the request handler fails', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+
+  router.request('/artist', () => Promise.reject(new Error('Not found')));
+  connection.emit('message', JSON.stringify({ route: '/artist', action: 'REQUEST', id: 2, data: {} }));
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    const reply = JSON.parse(connection.send.mock.calls[0][0]);
+
+    expect(reply.replyTo).toBe(2);
+    expect(reply.error.message).toMatch('Not found');
+  });
+});
+
+const { WebSocketRouterServer } = WebSocketRouter;
+
+test('Should share the hub routes with every connection', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const handler = jest.fn();
+
+  hub.create('/artist', handler);
+
+  const first = new Connection();
+  const second = new Connection();
+  server.emit('connection', first);
+  server.emit('connect', second);
+
+  first.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: { id: 1 } }));
+  second.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: { id: 2 } }));
+
+  expect(hub.clients.length).toBe(2);
+  expect(handler.mock.calls.map(call => call[0])).toEqual([{ id: 1 }, { id: 2 }]);
+});
+
+test('Should broadcast to every client and message the clients of a room', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const clients = [new Connection(), new Connection(), new Connection()];
+
+  hub.subscribe('/artist/:id', (data, context) => context.join('artist-' + context.params.id));
+  clients.forEach(client => server.emit('connection', client));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/1', action: 'SUBSCRIBE' }));
+  clients[1].emit('message', JSON.stringify({ route: '/artist/1', action: 'SUBSCRIBE' }));
+
+  hub.to('artist-1').message({ route: '/artist/1', action: 'UPDATE', data: { name: 'Ten' } });
+  hub.broadcast('/news', 'CREATE', {});
+
+  expect(clients.map(client => client.send.mock.calls.length)).toEqual([2, 2, 1]);
+  expect(JSON.parse(clients[0].send.mock.calls[0][0])).toEqual({ route: '/artist/1', action: 'UPDATE', data: { name: 'Ten' } });
+});
+
+test('Should leave the rooms when the connection is closed', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const client = new Connection();
+
+  hub.on('/join', (data, context) => context.join('lobby'));
+  server.emit('connection', client);
+  client.emit('message', JSON.stringify({ route: '/join' }));
+
+  expect(hub.rooms.lobby.length).toBe(1);
+
+  client.emit('close');
+
+  expect(hub.rooms.lobby).toBeUndefined();
+  expect(hub.clients.length).toBe(0);
+});
+
+test('Should track the sockets dispatching events or calling their handlers too', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const target = new Target();
+  const handlers = { send: jest.fn() };
+
+  hub.on('/join', (data, context) => context.join('lobby'));
+  server.emit('connection', target);
+  server.emit('connection', handlers);
+  target.dispatchEvent({ type: 'message', data: JSON.stringify({ route: '/join' }) });
+  handlers.onmessage({ data: JSON.stringify({ route: '/join' }) });
+  hub.to('lobby').message({ route: '/news' });
+
+  expect(JSON.parse(target.send.mock.calls[0][0])).toEqual({ route: '/news' });
+  expect(JSON.parse(handlers.send.mock.calls[0][0])).toEqual({ route: '/news' });
+
+  target.dispatchEvent({ type: 'close', code: 1000 });
+  handlers.onclose({ code: 1000 });
+
+  expect(hub.rooms.lobby).toBeUndefined();
+  expect(hub.clients.length).toBe(0);
+});
+
+test('Should dispatch the connection lifecycle through reserved routes', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const client = new Connection();
+  const open = jest.fn();
+  const close = jest.fn();
+  const states = jest.fn();
+
+  hub.on('$open', open);
+  hub.on('$close', close);
+  hub.onConnectionState(states);
+  server.emit('connection', client);
+
+  const router = hub.clients[0];
+  expect(router.state).toBe('open');
+
+  client.emit('message', JSON.stringify({ route: '$close' }));
+  expect(close).not.toHaveBeenCalled();
+
+  client.emit('close', 1000, 'Normal closure');
+
+  expect(open).toHaveBeenCalledTimes(1);
+  expect(close.mock.calls[0][0]).toEqual({ code: 1000, reason: 'Normal closure' });
+  expect(states.mock.calls[0].slice(0, 2)).toEqual(['closed', 'open']);
+  expect(router.state).toBe('closed');
+});
+
+test('Should close the connections that stop answering the heartbeat', () => {
+  jest.useFakeTimers();
+
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { heartbeat: { interval: 100, timeout: 50, maxMissed: 1 } });
+  const client = new Connection();
+  const heartbeat = jest.fn();
+
+  client.terminate = jest.fn(() => client.emit('close', 1006, ''));
+  hub.on('$heartbeat', heartbeat);
+  server.emit('connection', client);
+
+  jest.advanceTimersByTime(100);
+  const ping = JSON.parse(client.send.mock.calls[0][0]);
+  client.emit('message', JSON.stringify({ route: '/socket/heartbeat', action: 'PONG', data: ping.data }));
+  expect(heartbeat.mock.calls[0][0].latency).toBeGreaterThanOrEqual(0);
+
+  jest.advanceTimersByTime(150);
+  expect(client.terminate).toHaveBeenCalled();
+  expect(hub.clients.length).toBe(0);
+
+  jest.useRealTimers();
+});
+
+test('Should negotiate the codec requested by the client', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+  const msgpack = WebSocketRouter.codecs.msgpack;
+  const handler = jest.fn();
+
+  router.on('/telemetry', handler);
+  connection.emit('message', Buffer.from(JSON.stringify({ route: '/socket/codec', data: { codecs: ['cbor', 'msgpack'] } })), false);
+
+  expect(JSON.parse(connection.send.mock.calls[0][0])).toEqual({ route: '/socket/codec', data: { codec: 'msgpack' } });
+
+  connection.emit('message', Buffer.from(msgpack.encode({ route: '/telemetry', data: { speed: 10 } })), true);
+  connection.emit('message', { type: 'utf8', utf8Data: JSON.stringify({ route: '/telemetry', data: { speed: 20 } }) });
+  router.message({ route: '/telemetry', data: { speed: 30 } });
+
+  expect(handler.mock.calls.map(call => call[0])).toEqual([{ speed: 10 }, { speed: 20 }]);
+  expect(msgpack.decode(connection.send.mock.calls[1][0])).toEqual({ route: '/telemetry', data: { speed: 30 } });
+});
+
+test('Should send typed error envelopes without stacks in production', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true });
+
+  router.request('/artist', () => {
+    throw Object.assign(new Error('Artist not found'), { code: 'NOT_FOUND', details: { id: 7 } });
+  });
+  router.update('/artist', () => { throw new Error('Database is down'); });
+
+  connection.emit('message', JSON.stringify({ route: '/artist', action: 'REQUEST', id: 3, data: { id: 7 } }));
+  connection.emit('message', JSON.stringify({ route: '/artist', action: 'UPDATE', data: {} }));
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    const sent = connection.send.mock.calls.map(call => JSON.parse(call[0]));
+
+    expect(sent.find(message => message.replyTo === 3).error).toEqual({
+      code: 'NOT_FOUND',
+      message: 'Artist not found',
+      route: '/artist',
+      action: 'REQUEST',
+      correlationId: 3,
+      details: { id: 7 }
+    });
+    expect(sent.find(message => message.route == '/socket/error')).toEqual({
+      route: '/socket/error',
+      data: { code: 'INTERNAL_ERROR', message: 'Database is down', route: '/artist', action: 'UPDATE' }
+    });
+  });
+});
+
+test('Should serialize the errors with the serializer of the router', () => {
+  const connection = new Connection();
+  const development = new WebSocketRouter(connection, null, { production: false });
+  const production = new WebSocketRouter(connection);
+  const custom = new WebSocketRouter(connection, null, { serializeError: (error, data) => ({ code: 'FAILED', route: data.route }) });
+
+  development.runner([() => { throw new Error('Boom'); }], {}, { route: '/artist' });
+  production.runner([() => { throw new Error('Boom'); }], {}, { route: '/artist' });
+  custom.runner([() => { throw new Error('Boom'); }], {}, { route: '/artist' });
+
+  expect(JSON.parse(connection.send.mock.calls[0][0]).data.stack).toMatch(/Boom/);
+  expect(JSON.parse(connection.send.mock.calls[1][0]).data.stack).toBeUndefined();
+  expect(JSON.parse(connection.send.mock.calls[2][0]).data).toEqual({ code: 'FAILED', route: '/artist' });
+});
+
+test('Should publish only to the clients subscribed to the route and filters', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const clients = [new Connection(), new Connection(), new Connection()];
+  const subscribed = jest.fn();
+
+  hub.subscribe('/artist/*', subscribed);
+  clients.forEach(client => server.emit('connection', client));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/*', action: 'SUBSCRIBE' }));
+  clients[1].emit('message', JSON.stringify({ route: '/artist/:id', action: 'SUBSCRIBE', data: { genre: 'Grunge', year: { $gte: 1990 } } }));
+  clients[2].emit('message', JSON.stringify({ route: '/album/*', action: 'SUBSCRIBE' }));
+
+  expect(subscribed).toHaveBeenCalledTimes(2);
+  expect(hub.publish('/artist/1', 'UPDATE', { genre: 'Grunge', year: 1991 })).toBe(2);
+  expect(hub.publish('/artist/2', 'UPDATE', { genre: 'Rock', year: 1991 })).toBe(1);
+
+  clients[0].emit('message', JSON.stringify({ route: '/artist/*', action: 'UNSUBSCRIBE' }));
+
+  expect(hub.publish('/artist/3', 'UPDATE', { genre: 'Grunge', year: 1990 })).toBe(1);
+  expect(clients.map(client => client.send.mock.calls.length)).toEqual([2, 2, 0]);
+  expect(JSON.parse(clients[1].send.mock.calls[1][0])).toEqual({ route: '/artist/3', action: 'UPDATE', data: { genre: 'Grunge', year: 1990 } });
+});
+
+test('Should only track the subscriptions accepted by the guards and handlers', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const client = new Connection();
+
+  hub.guard('/admin/**', ['admin']);
+  hub.subscribe('/album/:id', (data, context) => context.halt());
+  server.emit('connection', client);
+  client.emit('message', JSON.stringify({ route: '/admin/*', action: 'SUBSCRIBE' }));
+  client.emit('message', JSON.stringify({ route: '/album/:id', action: 'SUBSCRIBE' }));
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    expect(JSON.parse(client.send.mock.calls[0][0]).data.code).toBe('FORBIDDEN');
+    expect(hub.publish('/admin/secret', 'UPDATE', {})).toBe(0);
+    expect(hub.publish('/album/1', 'UPDATE', {})).toBe(0);
+    expect(client.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('Should refuse the subscriptions with invalid filters or above the limit, and keep publishing to the rest', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { maxSubscriptions: 2 });
+  const clients = [new Connection(), new Connection()];
+  const errors = client => client.send.mock.calls.map(call => JSON.parse(call[0])).filter(message => message.route == '/socket/error').map(message => message.data.code);
+
+  clients.forEach(client => server.emit('connection', client));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/*', action: 'SUBSCRIBE', data: { x: { $bogus: 1 } } }));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/*', action: 'SUBSCRIBE', data: { name: { $regex: '(a+)+$' } } }));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/*', action: 'SUBSCRIBE', data: { 'owner.name': 'Eddie' } }));
+  clients[0].emit('message', JSON.stringify({ route: '/artist/.+', action: 'SUBSCRIBE' }));
+  clients[0].emit('message', JSON.stringify({ route: '/album/*', action: 'SUBSCRIBE' }));
+  clients[1].emit('message', JSON.stringify({ route: '/artist/*', action: 'SUBSCRIBE', data: { name: 'P.*' } }));
+
+  expect(errors(clients[0])).toEqual(['INVALID_FILTER', 'INVALID_FILTER', 'TOO_MANY_SUBSCRIPTIONS']);
+  expect(hub.publish('/artist/1', 'UPDATE', { name: 'Pearl Jam', owner: { get name() { throw new Error('Lazy owner'); } } })).toBe(0);
+  expect(errors(clients[0])).toEqual(['INVALID_FILTER', 'INVALID_FILTER', 'TOO_MANY_SUBSCRIPTIONS', 'INTERNAL_ERROR']);
+  expect(hub.publish('/artist/.+', 'UPDATE', { name: 'P.*' })).toBe(2);
+});
+
+test('Should run the acknowledged messages once even when sent again on a new connection', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const first = new Connection();
+  const second = new Connection();
+  const handler = jest.fn();
+  const order = JSON.stringify({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true, id: 'x1:1' });
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  hub.create('/order', handler);
+  server.emit('connection', first);
+  first.emit('message', order);
+
+  return flush().then(() => {
+    first.emit('close', 1006, '');
+
+    server.emit('connection', second);
+    second.emit('message', order);
+
+    return flush();
+  }).then(() => {
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(first.send.mock.calls[0][0])).toEqual({ route: '/socket/ack', data: { id: 'x1:1' } });
+    expect(JSON.parse(second.send.mock.calls[0][0])).toEqual({ route: '/socket/ack', data: { id: 'x1:1' } });
+  });
+});
+
+test('Should only acknowledge the messages once their guards and handlers succeeded', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true });
+  const handler = jest.fn(data => {
+    if (data.fail) throw new Error('Out of stock');
+  });
+  const acks = () => connection.send.mock.calls.map(call => JSON.parse(call[0])).filter(message => message.route == '/socket/ack').map(message => message.data.id);
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  router.create('/order', handler);
+  router.guard('/order', data => !data.locked);
+  connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: { fail: true }, ack: true, id: 'x1:1' }));
+  connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: { locked: true }, ack: true, id: 'x1:2' }));
+  connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: {}, ack: true, id: 'x1:3' }));
+
+  // Sent again while the handlers run, it is not run twice nor acknowledged yet
+  connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: {}, ack: true, id: 'x1:3' }));
+
+  return flush().then(() => {
+    expect(acks()).toEqual(['x1:3']);
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    // The messages that failed run again when sent again
+    connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: {}, ack: true, id: 'x1:1' }));
+    connection.emit('message', JSON.stringify({ route: '/order', action: 'CREATE', data: {}, ack: true, id: 'x1:3' }));
+
+    return flush();
+  }).then(() => {
+    expect(acks()).toEqual(['x1:3', 'x1:3', 'x1:1']);
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+});
+
+test('Should fail the messages waiting for an acknowledgement when the connection is closed', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+  const delivered = router.message({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true });
+
+  connection.emit('close', 1006, '');
+
+  return delivered.catch(error => error).then(error => {
+    expect(error.code).toBe('ACK_CLOSED');
+    expect(router.pendingAcks).toEqual({});
+  });
+});
+
+test('Should authenticate the connection before dispatching its messages', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { production: true });
+  const accepted = new Connection();
+  const rejected = new Connection();
+  const handler = jest.fn();
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  rejected.close = jest.fn();
+  hub.authenticate(credentials => Promise.resolve(credentials.token == 'secret' && { user: 'eddie' }));
+  hub.create('/artist', (data, context) => handler(context.session));
+  server.emit('connection', accepted);
+  server.emit('connection', rejected);
+
+  accepted.emit('message', JSON.stringify({ route: '/socket/auth', data: { token: 'secret' } }));
+  accepted.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: {} }));
+  rejected.emit('message', JSON.stringify({ route: '/socket/auth', data: { token: 'guess' } }));
+  rejected.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: {} }));
+
+  return flush().then(() => {
+    rejected.emit('message', JSON.stringify({ route: '/artist', action: 'REQUEST', id: 1 }));
+
+    expect(handler.mock.calls).toEqual([[{ user: 'eddie' }]]);
+    expect(rejected.close).toHaveBeenCalledWith(1008, 'Authentication failed');
+    expect(JSON.parse(accepted.send.mock.calls[0][0])).toEqual({ route: '/socket/auth', data: { authenticated: true } });
+    expect(rejected.send.mock.calls.map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/socket/auth', error: { code: 'UNAUTHENTICATED', message: 'Invalid credentials', route: '/socket/auth' } },
+      { route: '/socket/error', data: { code: 'UNAUTHENTICATED', message: 'Authentication required for /artist', route: '/artist', action: 'CREATE' } },
+      { route: '/artist', action: 'REQUEST', replyTo: 1, error: { code: 'UNAUTHENTICATED', message: 'Authentication required for /artist', route: '/artist', action: 'REQUEST', correlationId: 1 } }
+    ]);
+  });
+});
+
+test('Should refuse the credentials received while others are checked', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true });
+  const handler = jest.fn();
+  const checks = [];
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  router.authenticate(credentials => new Promise(resolve => checks.push(() => resolve({ user: credentials.user }))));
+  router.create('/artist', (data, context) => handler(context.session));
+
+  const first = router.receive({ route: '/socket/auth', data: { user: 'eddie' } });
+  const second = router.receive({ route: '/socket/auth', data: { user: 'mallory' } });
+  router.receive({ route: '/artist', action: 'CREATE', data: {} });
+
+  expect(second).toBe(first);
+
+  return flush().then(() => {
+    expect(checks.length).toBe(1);
+    checks[0]();
+
+    return first;
+  }).then(() => {
+    expect(handler.mock.calls).toEqual([[{ user: 'eddie' }]]);
+    expect(connection.send.mock.calls.map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/socket/auth', error: { code: 'AUTH_PENDING', message: 'Credentials already being checked', route: '/socket/auth' } },
+      { route: '/socket/auth', data: { authenticated: true } }
+    ]);
+  });
+});
+
+test('Should hold up to maxHeld messages while the credentials are checked', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true, maxHeld: 1 });
+  const handler = jest.fn();
+
+  router.authenticate(() => true);
+  router.create('/artist', handler);
+  connection.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: { id: 1 } }));
+  connection.emit('message', JSON.stringify({ route: '/artist', action: 'CREATE', data: { id: 2 } }));
+
+  return router.receive({ route: '/socket/auth', data: {} }).then(() => {
+    expect(handler.mock.calls.map(call => call[0])).toEqual([{ id: 1 }]);
+    expect(JSON.parse(connection.send.mock.calls[0][0]).data.code).toBe('UNAUTHENTICATED');
+  });
+});
+
+test('Should reject the messages forbidden by the guards before any handler runs', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { production: true });
+  const admin = new Connection();
+  const user = new Connection();
+  const interceptor = jest.fn();
+  const handler = jest.fn(() => 'done');
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  hub.authenticate(credentials => ({ roles: credentials.roles, id: credentials.id }));
+  hub.guard('/admin/*', ['admin']);
+  hub.guard('/artist/:id', (data, context) => context.params.id == context.session.id).action(hub.action.DELETE);
+  hub.intercept('/admin/*', interceptor);
+  hub.request('/admin/users', handler);
+  hub.delete('/artist/:id', handler).guard(data => Promise.resolve(!data.locked));
+  server.emit('connection', admin);
+  server.emit('connection', user);
+  admin.emit('message', JSON.stringify({ route: '/socket/auth', data: { roles: ['admin'], id: '1' } }));
+  user.emit('message', JSON.stringify({ route: '/socket/auth', data: { roles: ['user'], id: '2' } }));
+
+  return flush().then(() => {
+    admin.emit('message', JSON.stringify({ route: '/admin/users', action: 'REQUEST', id: 1 }));
+    user.emit('message', JSON.stringify({ route: '/admin/users', action: 'REQUEST', id: 1 }));
+    user.emit('message', JSON.stringify({ route: '/artist/2', action: 'DELETE', data: { locked: false } }));
+    user.emit('message', JSON.stringify({ route: '/artist/1', action: 'DELETE', data: { locked: false } }));
+    user.emit('message', JSON.stringify({ route: '/artist/2', action: 'DELETE', data: { locked: true } }));
+
+    return flush();
+  }).then(() => {
+    const forbidden = (route, action, id) => ({ code: 'FORBIDDEN', message: 'Forbidden ' + action + ' on ' + route, route: route, action: action, correlationId: id });
+
+    expect(interceptor).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(admin.send.mock.calls[1][0]).data).toBe('done');
+    expect(user.send.mock.calls.slice(1).map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/socket/error', data: forbidden('/artist/1', 'DELETE') },
+      { route: '/admin/users', action: 'REQUEST', replyTo: 1, error: forbidden('/admin/users', 'REQUEST', 1) },
+      { route: '/socket/error', data: forbidden('/artist/2', 'DELETE') }
+    ]);
+  });
+});
+
+test('Should run the guards before the schemas, the handlers and removing the once listeners', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true });
+  const handler = jest.fn();
+  const codes = () => connection.send.mock.calls.map(call => JSON.parse(call[0])).map(message => (message.error || message.data).code);
+
+  router.authenticate(credentials => ({ role: credentials.role }));
+  router.guard('/admin/**', ['admin']);
+  router.create('/admin/users', handler).schema({ type: 'object', required: ['name'] }).once();
+
+  return router.receive({ route: '/socket/auth', data: { role: 'user' } }).then(() => Promise.all([
+    router.receive({ route: '/admin/reports', action: 'REQUEST', id: 1 }),
+    router.receive({ route: '/admin/users', action: 'CREATE', data: {} })
+  ])).then(() => {
+    expect(codes()).toEqual([undefined, 'FORBIDDEN', 'FORBIDDEN']);
+
+    router.session.role = 'admin';
+
+    return router.receive({ route: '/admin/users', action: 'CREATE', data: {} });
+  }).then(() => {
+    expect(codes().slice(3)).toEqual(['INVALID_MESSAGE']);
+
+    return Promise.all([
+      router.receive({ route: '/admin/users', action: 'CREATE', data: { name: 'eddie' } }),
+      router.receive({ route: '/admin/users', action: 'CREATE', data: { name: 'stone' } })
+    ]);
+  }).then(() => {
+    expect(handler.mock.calls.map(call => call[0])).toEqual([{ name: 'eddie' }]);
+    expect(router.routes().length).toBe(0);
+  });
+});
+
+test('Should limit the messages of a connection, route and action', () => {
+  let now = 1000;
+  const clock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { production: true, rateLimit: { capacity: 3, refill: 1, interval: 1000 } });
+  const client = new Connection();
+  const handler = jest.fn();
+  const message = (route, action) => client.emit('message', JSON.stringify({ route: route, action: action }));
+
+  hub.on('/chat/*', handler);
+  hub.limit('/chat/*', { capacity: 1, interval: 500, onLimit: 'drop' }).action(hub.action.CREATE);
+  server.emit('connection', client);
+
+  message('/chat/lobby', 'CREATE');
+  message('/chat/lobby', 'CREATE');
+  message('/chat/lobby', 'UPDATE');
+  expect(handler).toHaveBeenCalledTimes(2);
+  expect(client.send).not.toHaveBeenCalled();
+
+  now += 1000;
+  message('/chat/lobby', 'CREATE');
+  message('/chat/lobby', 'UPDATE');
+  expect(handler).toHaveBeenCalledTimes(3);
+  expect(JSON.parse(client.send.mock.calls[0][0])).toEqual({
+    route: '/socket/error',
+    data: { code: 'RATE_LIMITED', message: 'Rate limit exceeded for /chat/lobby', route: '/chat/lobby', action: 'UPDATE' }
+  });
+
+  now += 1000;
+  message('/chat/lobby', 'UPDATE');
+  expect(handler).toHaveBeenCalledTimes(4);
+  expect(hub.stats()).toEqual({ clients: 1, received: 6, malformed: 0, limited: 2, dropped: 1, rejected: 1, disconnected: 0 });
+
+  // The counters of the closed connections are kept
+  client.emit('close', 1000, '');
+  expect(hub.stats()).toEqual({ clients: 0, received: 6, malformed: 0, limited: 2, dropped: 1, rejected: 1, disconnected: 0 });
+  clock.mockRestore();
+});
+
+test('Should close the connections flooding the server', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { rateLimit: { capacity: 1, onLimit: 'disconnect' } });
+
+  connection.close = jest.fn();
+  connection.emit('message', JSON.stringify({ route: '/chat' }));
+  connection.emit('message', JSON.stringify({ route: '/chat' }));
+
+  expect(connection.close).toHaveBeenCalledWith(1008, 'Rate limit exceeded');
+  expect(router.stats.disconnected).toBe(1);
+  router.closed({ code: 1008 });
+});
+
+test('Should limit the heartbeats, codec and authentication messages too', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { rateLimit: { capacity: 3, onLimit: 'disconnect' } });
+  const client = new Connection();
+
+  client.close = jest.fn(() => client.emit('close', 1008, 'Rate limit exceeded'));
+  hub.authenticate(() => true);
+  server.emit('connection', client);
+  client.emit('message', JSON.stringify({ route: '/socket/heartbeat', action: 'PING', data: {} }));
+  client.emit('message', JSON.stringify({ route: '/socket/codec', data: { codecs: [] } }));
+  client.emit('message', JSON.stringify({ route: '/socket/auth', data: {} }));
+  client.emit('message', JSON.stringify({ route: '/socket/heartbeat', action: 'PING', data: {} }));
+
+  expect(client.close).toHaveBeenCalledWith(1008, 'Rate limit exceeded');
+  expect(hub.stats()).toEqual({ clients: 0, received: 4, malformed: 0, limited: 1, dropped: 0, rejected: 0, disconnected: 1 });
+});
+
+test('Should report the malformed messages instead of dispatching them', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true, frames: { maxSize: 200, maxDepth: 4 } });
+  const handler = jest.fn();
+  const errors = () => connection.send.mock.calls.map(call => JSON.parse(call[0]).data.code);
+
+  router.on('/artist', handler);
+
+  connection.emit('message', '{"route": "/artist", ');
+  connection.emit('message', JSON.stringify({ route: '/artist', data: { bio: new Array(200).join('a') } }));
+  connection.emit('message', JSON.stringify({ route: '/artist', data: { a: { b: { c: { d: 1 } } } } }));
+  connection.emit('message', JSON.stringify([{ route: '/artist' }]));
+  connection.emit('message', JSON.stringify({ route: 1 }));
+  connection.emit('message', JSON.stringify({ route: '/artist', ack: 'yes' }));
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(errors()).toEqual(['MALFORMED_MESSAGE', 'FRAME_TOO_LARGE', 'MALFORMED_MESSAGE', 'INVALID_ENVELOPE', 'INVALID_ENVELOPE', 'INVALID_ENVELOPE']);
+  expect(JSON.parse(connection.send.mock.calls[2][0]).data.route).toBe('/artist');
+  expect(router.stats.malformed).toBe(6);
+});
+
+test('Should report the malformed MessagePack frames as the malformed JSON ones', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection, null, { production: true });
+  const msgpack = WebSocketRouter.codecs.msgpack;
+  const handler = jest.fn();
+  const binary = bytes => connection.emit('message', Buffer.from(bytes), true);
+
+  router.on('/telemetry', handler);
+  connection.emit('message', JSON.stringify({ route: '/socket/codec', data: { codecs: ['msgpack'] } }));
+
+  binary([0xda, 0x00, 0x20]);
+  binary([0xdb, 0xff, 0xff, 0xff, 0xff]);
+  binary([0xdf, 0xff, 0xff, 0xff, 0xff]);
+  binary([0xc1]);
+  binary([0x2a]);
+  binary(msgpack.encode({ route: '/telemetry', data: { speed: 10 } }));
+
+  expect(handler.mock.calls.map(call => call[0])).toEqual([{ speed: 10 }]);
+  expect(connection.send.mock.calls.slice(1).map(call => msgpack.decode(call[0]).data)).toEqual([
+    { code: 'MALFORMED_MESSAGE', message: 'Malformed message: Unexpected end of msgpack data' },
+    { code: 'MALFORMED_MESSAGE', message: 'Malformed message: Unexpected end of msgpack data' },
+    { code: 'MALFORMED_MESSAGE', message: 'Malformed message: Unexpected end of msgpack data' },
+    { code: 'MALFORMED_MESSAGE', message: 'Malformed message: Unsupported MessagePack type 0xc1' },
+    { code: 'INVALID_ENVELOPE', message: 'Invalid message: should be an object' }
+  ]);
+  expect(router.stats.malformed).toBe(5);
+});
+
+test('Should strip the keys that could pollute prototypes', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+  const handler = jest.fn();
+
+  router.on('/artist', handler);
+  connection.emit('message', '{"route": "/artist", "data": {"name": "Ten", "__proto__": {"admin": true}, "tags": [{"constructor": {"prototype": {"admin": true}}}]}}');
+
+  const artist = handler.mock.calls[0][0];
+
+  expect(Object.keys(artist)).toEqual(['name', 'tags']);
+  expect(Object.keys(artist.tags[0])).toEqual([]);
+  expect(Object.assign({}, artist).admin).toBeUndefined();
+  expect({}.admin).toBeUndefined();
+});
+
+test('Should mount routers with their own guards on the hub', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server, null, { production: true });
+  const admin = new WebSocketRouter(null);
+  const client = new Connection();
+  const handler = jest.fn((data, context) => context.join('admins'));
+
+  admin.guard('/users/*', (data, context) => context.session.role == 'admin');
+  admin.update('/users/:id', handler);
+  hub.use('/admin', admin);
+  hub.authenticate(credentials => ({ role: credentials.role }));
+  server.emit('connection', client);
+  client.emit('message', JSON.stringify({ route: '/socket/auth', data: { role: 'user' } }));
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    client.emit('message', JSON.stringify({ route: '/admin/users/7', action: 'UPDATE' }));
+    client.emit('message', JSON.stringify({ route: '/users/7', action: 'UPDATE' }));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(client.send.mock.calls.map(call => JSON.parse(call[0]).data.code)).toEqual([undefined, 'FORBIDDEN']);
+
+    hub.clients[0].session.role = 'admin';
+    client.emit('message', JSON.stringify({ route: '/admin/users/7', action: 'UPDATE' }));
+
+    expect(handler.mock.calls[0][1].params).toEqual({ id: '7' });
+    expect(hub.rooms.admins.length).toBe(1);
+  });
+});
+
+test('Should list and explain the hub routes', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+
+  function createArtist() {}
+
+  hub.create('/artist', createArtist).guard('admin');
+
+  expect(hub.routes().map(route => [route.type, route.route, route.action, route.guarded, route.handlers])).toEqual([
+    ['listener', '/artist', 'CREATE', true, ['createArtist']]
+  ]);
+  expect(hub.explain({ route: '/artist', action: 'DELETE' }).skipped.map(route => route.reason)).toEqual(['action']);
+  expect(hub.explain({ route: '/artist', action: 'CREATE' }).run.length).toBe(1);
+});
+
+test('Should not leave unhandled rejections when a stream is cancelled with writes nobody waits for', () => {
+  const connection = new Connection();
+  const router = new WebSocketRouter(connection);
+  const unhandled = jest.fn();
+  let stream;
+
+  process.on('unhandledRejection', unhandled);
+
+  router.request('/rows', (query, context) => {
+    stream = context.stream();
+
+    stream.write(1);
+    stream.write(2);
+    stream.write(3);
+  });
+
+  connection.emit('message', JSON.stringify({ route: '/rows', action: 'REQUEST', id: 1, data: {}, credit: 1 }));
+  connection.emit('message', JSON.stringify({ route: '/socket/stream', data: { id: 1, cancel: true } }));
+
+  // Writing after the cancellation is not waited for either
+  stream.write(4);
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    process.removeListener('unhandledRejection', unhandled);
+
+    expect(unhandled).not.toHaveBeenCalled();
+    expect(connection.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('Should stop streaming a reply when the client cancels it or the connection is closed', () => {
+  const server = new EventEmitter();
+  const hub = new WebSocketRouterServer(server);
+  const client = new Connection();
+  const writes = [];
+
+  hub.request('/rows', (query, context) => {
+    const stream = context.stream();
+
+    writes.push(stream.write(1), stream.write(2), stream.write(3));
+  });
+
+  server.emit('connection', client);
+  client.emit('message', JSON.stringify({ route: '/rows', action: 'REQUEST', id: 1, data: {}, credit: 1 }));
+  client.emit('message', JSON.stringify({ route: '/rows', action: 'REQUEST', id: 2, data: {}, credit: 1 }));
+  client.emit('message', JSON.stringify({ route: '/socket/stream', data: { id: 1, cancel: true } }));
+  client.emit('close');
+
+  return Promise.all(writes.map(write => write.catch(error => error.code))).then(results => {
+    expect(results).toEqual([undefined, 'STREAM_CANCELLED', 'STREAM_CANCELLED', undefined, 'STREAM_CANCELLED', 'STREAM_CANCELLED']);
+    expect(client.send.mock.calls.map(call => JSON.parse(call[0])).filter(frame => frame.replyTo)).toEqual([
+      { route: '/rows', action: 'REQUEST', replyTo: 1, seq: 0, data: 1 },
+      { route: '/rows', action: 'REQUEST', replyTo: 2, seq: 0, data: 1 }
+    ]);
+  });
+});
@@ -14,7 +14,7 @@ class WebSocket {
 }
 global.WebSocket = WebSocket;
 
-const WebSocketRouter = require('../web-socket-router');
+const WebSocketRouter = require('../Client');
 const webSocketRouterInstance = new WebSocketRouter('ws://localhost:8080');
 
 test('Should execute the constructor once', () => {
@@ -27,6 +27,7 @@ test('Should have the action-constant fields defined', () => {
       DELETE: 'DELETE',
       CREATE: 'CREATE',
       SUBSCRIBE: 'SUBSCRIBE',
+      UNSUBSCRIBE: 'UNSUBSCRIBE',
       REQUEST: 'REQUEST'
   });
 });
@@ -129,3 +130,1099 @@ test('Should throw error executing the task and dispatch a message', () => {
 test('Should attach an on handler with no overload.', () => {
   webSocketRouterInstance.on('/custom/route', () => {});
 });
+
+test('Should resolve a call with the reply of the peer', () => {
+  const sent = send.mock.calls.length;
+  const call = webSocketRouterInstance.call('/artist', { id: 1 });
+  const request = JSON.parse(send.mock.calls[sent][0]);
+
+  expect(request.action).toBe('REQUEST');
+  expect(request.data).toEqual({ id: 1 });
+
+  webSocketRouterInstance.dispatch({ route: '/artist', replyTo: request.id, data: { name: 'Pearl Jam' } });
+
+  return expect(call).resolves.toEqual({ name: 'Pearl Jam' });
+});
+
+test('Should reject a call when the peer replies with an error', () => {
+  const sent = send.mock.calls.length;
+  const call = webSocketRouterInstance.call('/artist', {});
+  const request = JSON.parse(send.mock.calls[sent][0]);
+
+  webSocketRouterInstance.dispatch({ route: '/artist', replyTo: request.id, error: { message: 'Not found' } });
+
+  return expect(call).rejects.toThrow('Not found');
+});
+
+test('Should reject a call when no reply arrives in time', () => {
+  return expect(webSocketRouterInstance.call('/artist', {}, { timeout: 10 })).rejects.toThrow('timed out');
+});
+
+test('Should reply to a request with the value returned by the handler', () => {
+  const sent = send.mock.calls.length;
+  webSocketRouterInstance.request('/album', (album) => Promise.resolve({ title: album.title }));
+
+  return webSocketRouterInstance.dispatch({ route: '/album', action: 'REQUEST', id: 7, data: { title: 'Ten' } }).then(() => {
+    expect(JSON.parse(send.mock.calls[sent][0])).toEqual({ route: '/album', action: 'REQUEST', replyTo: 7, data: { title: 'Ten' } });
+  });
+});
+
+test('Should routify named parameters', () => {
+  const route = webSocketRouterInstance.routify('/artist/:id/albums/:albumId');
+
+  expect(route.keys).toEqual(['id', 'albumId']);
+  expect(route.exec('/artist/1/albums/2').slice(1)).toEqual(['1', '2']);
+  expect(route.exec('/artist/1/albums')).toBeFalsy();
+  expect(webSocketRouterInstance.routify('/artist/v:version/:id').keys).toEqual(['version', 'id']);
+  expect(webSocketRouterInstance.routify('/artist/v:version/:id').exec('/artist/v2/7').slice(1)).toEqual(['2', '7']);
+});
+
+test('Should match $ before a name literally and keep the other $ as anchors', () => {
+  const handler = jest.fn();
+  const router = new WebSocketRouter();
+
+  router.on('/artist$|/album/:id', handler);
+  router.dispatch({ route: '/artist' });
+  router.dispatch({ route: '/album/7' });
+  router.dispatch({ route: '/artist$' });
+  router.dispatch({ route: '/artists' });
+
+  expect(handler).toHaveBeenCalledTimes(2);
+  expect(handler.mock.calls[1][1].params).toEqual({ id: '7' });
+  expect(webSocketRouterInstance.routify('/v1.0/artists?').exec('/v1x0/artist')).toBeTruthy();
+  expect(webSocketRouterInstance.routify('$open').exec('$open')).toBeTruthy();
+  expect(webSocketRouterInstance.routify('$open').exec('open')).toBeFalsy();
+  expect(webSocketRouterInstance.routify('/artist/:$id').keys).toEqual(['$id']);
+  expect(webSocketRouterInstance.routify('/artist/:$id').exec('/artist/7')[1]).toBe('7');
+});
+
+test('Should pass the named parameters to the handlers', () => {
+  const handler = jest.fn();
+  const interceptor = jest.fn();
+
+  webSocketRouterInstance.intercept('/artist/:id/*', interceptor);
+  webSocketRouterInstance.on('/artist/:id/albums', handler).action('UPDATE');
+  webSocketRouterInstance.dispatch({ route: '/artist/7/albums', action: 'UPDATE', data: { name: 'Ten' } });
+
+  expect(interceptor.mock.calls[0][1].params).toEqual({ id: '7' });
+  expect(handler.mock.calls[0][0]).toEqual({ name: 'Ten' });
+  expect(handler.mock.calls[0][1]).toMatchObject({ route: '/artist/7/albums', action: 'UPDATE', params: { id: '7' } });
+});
+
+test('Should wait twice as long after every failed attempt up to the max delay', () => {
+  const router = new WebSocketRouter('ws://localhost:8080', null, { retry: { baseDelay: 100, maxDelay: 500, jitter: 0 } });
+
+  expect([1, 2, 3, 4, 5].map(attempt => {
+    router.connection.connectionsAttemp = attempt;
+    return router.connection.delay();
+  })).toEqual([100, 200, 400, 500, 500]);
+});
+
+test('Should dispatch the reconnection lifecycle through the router', () => {
+  jest.useFakeTimers();
+
+  const router = new WebSocketRouter('ws://localhost:8080', null, { retry: { maxAttempts: 2, jitter: 0 } });
+  const reconnecting = jest.fn();
+  const reconnected = jest.fn();
+  const gaveUp = jest.fn();
+
+  router.on('$reconnecting', reconnecting);
+  router.on('$reconnected', reconnected);
+  router.on('$gaveUp', gaveUp);
+
+  router.connection.reconnect();
+  expect(reconnecting.mock.calls[0][0]).toEqual({ attempt: 2, delay: 1000 });
+
+  jest.advanceTimersByTime(1000);
+  router.connection.open();
+  expect(reconnected.mock.calls[0][0]).toEqual({ attempts: 2 });
+
+  router.connection.connectionsAttemp = 2;
+  router.connection.reconnect();
+  expect(gaveUp.mock.calls[0][0]).toEqual({ attempts: 2 });
+
+  jest.useRealTimers();
+});
+
+test('Should expose the connection lifecycle through reserved routes', () => {
+  jest.useFakeTimers();
+
+  const router = new WebSocketRouter('ws://localhost:8080', null, { retry: { maxAttempts: 1 } });
+  const states = jest.fn();
+  const open = jest.fn();
+  const close = jest.fn();
+  const error = jest.fn();
+  const wildcard = jest.fn();
+
+  router.onConnectionState(states);
+  router.on('$open', open);
+  router.on('$close', close);
+  router.on('$error', error);
+  router.on('*', wildcard);
+
+  expect(router.state).toBe('connecting');
+
+  router.connection.connection.onopen();
+  router.connection.connection.onerror({ type: 'error' });
+  router.connection.connection.onclose({ code: 1006, reason: '' });
+
+  expect(router.state).toBe('reconnecting');
+
+  jest.runAllTimers();
+  router.connection.connection.onclose({ code: 1006, reason: '' });
+
+  expect(router.state).toBe('closed');
+  expect(open).toHaveBeenCalledTimes(1);
+  expect(error.mock.calls[0][0]).toEqual({ type: 'error' });
+  expect(close.mock.calls[0][0]).toEqual({ code: 1006, reason: '' });
+  expect(states.mock.calls.map(call => call.slice(0, 2))).toEqual([
+    ['open', 'connecting'], ['reconnecting', 'open'], ['closed', 'reconnecting']
+  ]);
+  expect(wildcard).not.toHaveBeenCalled();
+
+  jest.useRealTimers();
+});
+
+test('Should ignore reserved routes received from the peer', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const open = jest.fn();
+
+  router.on('$open', open);
+  router.connection.dispatch({ data: JSON.stringify({ route: '$open' }) });
+
+  expect(open).not.toHaveBeenCalled();
+});
+
+test('Should wait for the promises returned by the handlers before running the next ones', () => {
+  const order = [];
+  const run = [
+    () => new Promise(resolve => setTimeout(() => resolve(order.push('validated')), 5)),
+    () => order.push('handled')
+  ];
+
+  return webSocketRouterInstance.runner(run, {}).then(() => {
+    expect(order).toEqual(['validated', 'handled']);
+  });
+});
+
+test('Should stop the chain and send an error when a handler rejects', () => {
+  const sent = send.mock.calls.length;
+  const handler = jest.fn();
+
+  return webSocketRouterInstance.runner([() => Promise.reject(new Error('Invalid token')), handler], {}).then(() => {
+    expect(handler).not.toHaveBeenCalled();
+    expect(JSON.parse(send.mock.calls[sent][0]).route).toBe('/socket/error');
+  });
+});
+
+test('Should stop the chain when a handler halts it', () => {
+  const handler = jest.fn();
+
+  webSocketRouterInstance.intercept('/halted', (data, context) => context.halt());
+  webSocketRouterInstance.on('/halted', handler);
+
+  return webSocketRouterInstance.dispatch({ route: '/halted' }).then(() => {
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+test('Should run the code after next once the downstream handlers are done', () => {
+  const order = [];
+
+  webSocketRouterInstance.intercept('/timed', (data, context, next) => {
+    order.push('before');
+    return next().then(() => order.push('after'));
+  });
+  webSocketRouterInstance.on('/timed', () => Promise.resolve().then(() => order.push('handler')));
+  webSocketRouterInstance.intercept('/skipped', (data, context, next) => {});
+  webSocketRouterInstance.on('/skipped', () => order.push('skipped'));
+
+  return Promise.all([
+    webSocketRouterInstance.dispatch({ route: '/timed' }),
+    webSocketRouterInstance.dispatch({ route: '/skipped' })
+  ]).then(() => {
+    expect(order).toEqual(['before', 'handler', 'after']);
+  });
+});
+
+test('Should remove a listener through the builder', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const handler = jest.fn();
+
+  router.on('/artist', handler).remove();
+  router.dispatch({ route: '/artist' });
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(router.events.length).toBe(0);
+});
+
+test('Should remove listeners, interceptors and send hooks with off', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const handler = jest.fn();
+  const other = jest.fn();
+
+  router.on('/artist', [handler, other]);
+  router.intercept('/artist', handler);
+  router.beforeSend('/artist', handler);
+  router.off('/artist', handler);
+
+  router.dispatch({ route: '/artist' });
+  router.message({ route: '/artist' });
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(other).toHaveBeenCalledTimes(1);
+  expect(router.registeredTasks.length).toBe(0);
+
+  router.off('/artist');
+  expect(router.events.length).toBe(0);
+});
+
+test('Should remove the listeners registered with once after the first match', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const handler = jest.fn();
+  const hook = jest.fn();
+
+  router.on('/artist', handler).action('CREATE').once();
+  router.afterSend('/artist', hook).once();
+
+  router.dispatch({ route: '/artist', action: 'UPDATE' });
+  router.dispatch({ route: '/artist', action: 'CREATE' });
+  router.dispatch({ route: '/artist', action: 'CREATE' });
+  router.message({ route: '/artist' });
+  router.message({ route: '/artist' });
+
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(hook).toHaveBeenCalledTimes(1);
+});
+
+test('Should keep the messages sent while offline and flush them in order', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const sent = send.mock.calls.length;
+  const routes = () => send.mock.calls.slice(sent).map(call => JSON.parse(call[0]).route);
+
+  router.connection.connection.readyState = 3;
+  router.message({ route: '/first' });
+  router.message({ route: '/second' });
+
+  return router.connection.messageQueue.pending.then(() => {
+    expect(send.mock.calls.length).toBe(sent);
+    expect(router.connection.messageQueue.length).toBe(2);
+
+    router.connection.connection.readyState = 1;
+    const flushed = router.connection.flush();
+    router.message({ route: '/third' });
+
+    return flushed;
+  }).then(() => {
+    expect(routes()).toEqual(['/first', '/second', '/third']);
+    expect(router.connection.messageQueue.length).toBe(0);
+  });
+});
+
+test('Should drop messages following the outbox size, ttl and drop policy', () => {
+  const storage = new WebSocketRouter.MemoryStorage();
+  const oldest = new WebSocketRouter('ws://localhost:8080', null, { outbox: { storage, maxSize: 2 } });
+  const newest = new WebSocketRouter('ws://localhost:8080', null, { outbox: { maxSize: 2, dropPolicy: 'newest' } });
+  const expiring = new WebSocketRouter('ws://localhost:8080', null, { outbox: { ttl: -1 } });
+  const dropped = [];
+
+  oldest.on('$error', error => dropped.push([error.code, error.dropped.route]));
+  newest.on('$error', error => dropped.push([error.code, error.dropped.route]));
+
+  return Promise.all([1, 2, 3].map(id => Promise.all([
+    oldest.connection.messageQueue.push({ route: '/' + id }),
+    newest.connection.messageQueue.push({ route: '/' + id }),
+    expiring.connection.messageQueue.push({ route: '/' + id })
+  ]))).then(() => Promise.all([
+    storage.load(),
+    newest.connection.messageQueue.drain(),
+    expiring.connection.messageQueue.drain()
+  ])).then(([stored, newestMessages, expiringMessages]) => {
+    expect(stored.map(entry => entry.message.route)).toEqual(['/2', '/3']);
+    expect(newestMessages.map(message => message.route)).toEqual(['/1', '/2']);
+    expect(expiringMessages).toEqual([]);
+    expect(dropped).toEqual([['OUTBOX_FULL', '/1'], ['OUTBOX_FULL', '/3']]);
+  });
+});
+
+test('Should keep the outbox in a persistent storage across restarts', () => {
+  const FileStorage = require('../FileStorage');
+  const path = require('path').join(require('os').tmpdir(), 'web-socket-router-outbox-' + process.pid + '.json');
+  const items = {};
+  const localStorage = {
+    getItem: key => items[key],
+    setItem: (key, value) => { items[key] = value; }
+  };
+  const databases = {};
+
+  // In memory IndexedDB, firing the events of the requests
+  // And transactions asynchronously as the browsers do
+  const indexedDB = {
+    open: name => {
+      const request = {};
+
+      setImmediate(() => {
+        if (!databases[name]) {
+          databases[name] = { records: [] };
+          request.result = { createObjectStore: () => {} };
+          request.onupgradeneeded();
+        }
+
+        const records = databases[name].records;
+
+        request.result = {
+          transaction: () => {
+            const transaction = {
+              objectStore: () => ({
+                getAll: () => ({ result: records.slice() }),
+                clear: () => { records.length = 0; },
+                add: record => { records.push(record); }
+              })
+            };
+
+            setImmediate(() => transaction.oncomplete());
+
+            return transaction;
+          }
+        };
+        request.onsuccess();
+      });
+
+      return request;
+    }
+  };
+
+  return [
+    () => new FileStorage(path),
+    () => new WebSocketRouter.LocalStorage('outbox', localStorage),
+    () => new WebSocketRouter.IndexedDBStorage('outbox', indexedDB)
+  ].reduce((previous, storage) => previous.then(() => {
+    const before = new WebSocketRouter('ws://localhost:8080', null, { outbox: { storage: storage() } });
+
+    return before.connection.messageQueue.push({ route: '/artist' }).then(() => {
+      const after = new WebSocketRouter('ws://localhost:8080', null, { outbox: { storage: storage() } });
+
+      return after.connection.messageQueue.drain();
+    }).then(messages => {
+      expect(messages).toEqual([{ route: '/artist' }]);
+    });
+  }), Promise.resolve()).then(() => {
+    require('fs').unlinkSync(path);
+  });
+});
+
+test('Should append the new messages to the file storage and take unreadable storages as empty', () => {
+  const fs = require('fs');
+  const FileStorage = require('../FileStorage');
+  const path = require('path').join(require('os').tmpdir(), 'web-socket-router-corrupt-' + process.pid + '.json');
+  const router = new WebSocketRouter('ws://localhost:8080', null, { outbox: { storage: new FileStorage(path) } });
+  const failing = new WebSocketRouter('ws://localhost:8080', null, { outbox: { storage: { load: () => Promise.resolve([]), save: () => Promise.reject(new Error('Disk full')) } } });
+  const errors = [];
+
+  fs.writeFileSync(path, '{"message":');
+  router.on('$error', error => errors.push(error.message));
+  failing.on('$error', error => errors.push(error.code));
+
+  return Promise.all([
+    router.connection.messageQueue.push({ route: '/first' }),
+    router.connection.messageQueue.push({ route: '/second' }),
+    failing.connection.messageQueue.push({ route: '/artist' })
+  ]).then(() => {
+    expect(errors.sort()).toEqual(['OUTBOX_STORAGE', expect.stringMatching(/^Outbox storage could not be read/)]);
+    expect(fs.readFileSync(path, 'utf8').split('\n').length).toBe(3);
+
+    return router.connection.messageQueue.drain();
+  }).then(messages => {
+    expect(messages.map(message => message.route)).toEqual(['/first', '/second']);
+    expect(fs.readFileSync(path, 'utf8')).toBe('');
+
+    fs.unlinkSync(path);
+  });
+});
+
+test('Should answer the PINGs of the peer without dispatching them', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const sent = send.mock.calls.length;
+  const handler = jest.fn();
+
+  router.on('/socket/heartbeat', handler);
+  router.connection.dispatch({ data: JSON.stringify({ route: '/socket/heartbeat', action: 'PING', data: { time: 1 } }) });
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(JSON.parse(send.mock.calls[sent][0])).toEqual({ route: '/socket/heartbeat', action: 'PONG', data: { time: 1 } });
+});
+
+test('Should measure the latency and reconnect after the missed beats', () => {
+  jest.useFakeTimers();
+
+  const router = new WebSocketRouter('ws://localhost:8080', null, { heartbeat: { interval: 100, timeout: 50, maxMissed: 2 } });
+  const heartbeat = jest.fn();
+  const close = jest.fn();
+  const sent = send.mock.calls.length;
+
+  router.on('$heartbeat', heartbeat);
+  router.on('$close', close);
+  router.connection.connection.onopen();
+
+  jest.advanceTimersByTime(100);
+  const ping = JSON.parse(send.mock.calls[sent][0]);
+  expect(ping.action).toBe('PING');
+
+  router.connection.dispatch({ data: JSON.stringify({ route: '/socket/heartbeat', action: 'PONG', data: ping.data }) });
+  expect(heartbeat).toHaveBeenCalledTimes(1);
+  expect(typeof router.latency).toBe('number');
+
+  jest.advanceTimersByTime(300);
+  expect(close.mock.calls[0][0]).toEqual({ code: 4000, reason: 'Heartbeat timeout' });
+  expect(router.state).toBe('reconnecting');
+
+  jest.useRealTimers();
+});
+
+test('Should encode and decode messages with the MessagePack codec', () => {
+  const msgpack = WebSocketRouter.codecs.msgpack;
+  const message = {
+    route: '/telemetry',
+    action: 'CREATE',
+    data: {
+      small: 1, negative: -5, byte: 200, short: -300, int: 70000, long: 5000000000, float: 1.5,
+      flags: [true, false, null], text: 'ünïcødé 🎸', long_text: 'a'.repeat(300),
+      nested: { date: new Date(0), skipped: undefined },
+      bytes: new Uint8Array([1, 2, 3])
+    }
+  };
+
+  const frame = msgpack.encode(message);
+  const decoded = msgpack.decode(frame.buffer);
+
+  expect(frame).toBeInstanceOf(Uint8Array);
+  expect(frame.length).toBeLessThan(JSON.stringify(message).length);
+  expect(Array.from(decoded.data.bytes)).toEqual([1, 2, 3]);
+  delete decoded.data.bytes;
+  delete message.data.bytes;
+  expect(decoded).toEqual(JSON.parse(JSON.stringify(message)));
+});
+
+test('Should refuse MessagePack frames shorter than their headers declare', () => {
+  const decode = bytes => () => WebSocketRouter.codecs.msgpack.decode(new Uint8Array(bytes).buffer);
+
+  [
+    [0xda, 0x00, 0x20],
+    [0xdb, 0x01, 0x00, 0x00, 0x00],
+    [0xdb, 0xff, 0xff, 0xff, 0xff],
+    [0xc6, 0xff, 0xff, 0xff, 0xff, 0x01],
+    [0xdd, 0xff, 0xff, 0xff, 0xff],
+    [0xdf, 0x00, 0x00, 0x00, 0x01, 0xa1, 0x61],
+    [0xcb, 0x00, 0x00],
+    [0xcd, 0x01],
+    [0xa3, 0x61, 0xe2, 0x82],
+    [0x92, 0x01]
+  ].forEach(bytes => expect(decode(bytes)).toThrow('Unexpected end of msgpack data'));
+
+  expect(decode([0x92, 0xa1, 0x61, 0xc4, 0x01, 0x02])().map(value => typeof value)).toEqual(['string', 'object']);
+});
+
+test('Should switch to the preferred codec once the server accepts it', () => {
+  const router = new WebSocketRouter('ws://localhost:8080', null, { codec: 'msgpack' });
+  const handler = jest.fn();
+  const sent = send.mock.calls.length;
+
+  router.on('/telemetry', handler);
+  router.connection.connection.onopen();
+
+  expect(JSON.parse(send.mock.calls[sent][0])).toEqual({ route: '/socket/codec', data: { codecs: ['msgpack'] } });
+
+  return router.connection.flushing.then(() => {
+    router.connection.dispatch({ data: JSON.stringify({ route: '/socket/codec', data: { codec: 'msgpack' } }) });
+    router.message({ route: '/telemetry', data: { speed: 10 } });
+    router.connection.dispatch({ data: WebSocketRouter.codecs.msgpack.encode({ route: '/telemetry', data: { speed: 20 } }).buffer });
+
+    expect(WebSocketRouter.codecs.msgpack.decode(send.mock.calls[sent + 1][0])).toEqual({ route: '/telemetry', data: { speed: 10 } });
+    expect(handler.mock.calls[0][0]).toEqual({ speed: 20 });
+  });
+});
+
+test('Should reject the messages that do not match the schema before any handler runs', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const interceptor = jest.fn();
+  const handler = jest.fn();
+  const sent = send.mock.calls.length;
+
+  router.intercept('/artist', interceptor);
+  router.create('/artist', handler).schema({
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string', minLength: 1 },
+      albums: { type: 'array', items: { type: 'object', required: ['title'] } }
+    },
+    additionalProperties: false
+  });
+
+  router.dispatch({ route: '/artist', action: 'CREATE', data: { id: 0, albums: [{}], genre: 'Grunge' } });
+
+  expect(interceptor).not.toHaveBeenCalled();
+  expect(handler).not.toHaveBeenCalled();
+
+  const error = JSON.parse(send.mock.calls[sent][0]);
+  expect(error.route).toBe('/socket/error');
+  expect(error.data.code).toBe('INVALID_MESSAGE');
+  expect(error.data.details.map(e => e.path)).toEqual(['/name', '/id', '/albums/0/title', '/genre']);
+
+  router.dispatch({ route: '/artist', action: 'CREATE', data: { id: 1, name: 'Pearl Jam' } });
+  expect(handler).toHaveBeenCalledTimes(1);
+});
+
+test('Should validate the combinators and keywords of the schema', () => {
+  const validate = (schema, value) => webSocketRouterInstance.validate(schema, value).map(e => e.message);
+
+  expect(validate({ enum: ['EU', 'US'] }, 'AR')).toEqual(['should be one of ["EU","US"]']);
+  expect(validate({ type: ['string', 'null'] }, null)).toEqual([]);
+  expect(validate({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true)).toEqual(['should match some schema in anyOf']);
+  expect(validate({ oneOf: [{ minimum: 1 }, { maximum: 10 }] }, 5)).toEqual(['should match exactly one schema in oneOf']);
+  expect(validate({ not: { const: 'admin' } }, 'admin')).toEqual(['should not match the schema in not']);
+  expect(validate({ type: 'string', pattern: '^[a-z]+$' }, 'Pearl')).toEqual(['should match ^[a-z]+$']);
+  expect(webSocketRouterInstance.validate({ required: ['id'] }, undefined)).toEqual([{ path: '/id', message: 'is required' }]);
+});
+
+test('Should not send the messages that do not match the schema of a before send hook', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const sent = send.mock.calls.length;
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const failures = [];
+
+  router.beforeSend('/artist').schema({ type: 'object', required: ['id'] });
+  router.message({ route: '/artist' });
+  router.onError('/artist', error => failures.push(error));
+  router.message({ route: '/artist', data: {} });
+  router.message({ route: '/artist', data: { id: 1 } });
+
+  expect(send.mock.calls.length).toBe(sent + 1);
+  expect(log.mock.calls[0][0].details).toEqual([{ path: '', message: 'should be object' }]);
+  expect(failures.map(error => [error.code, error.route, error.details])).toEqual([
+    ['INVALID_MESSAGE', '/artist', [{ path: '/id', message: 'is required' }]]
+  ]);
+
+  log.mockRestore();
+});
+
+test('Should refuse the schemas with keywords that are not supported', () => {
+  const validate = (schema, value) => webSocketRouterInstance.validate(schema, value).map(e => e.message);
+
+  expect(() => webSocketRouterInstance.on('/artist', () => {}).schema({ type: 'object', properties: { site: { type: 'string', format: 'uri' } } })).toThrow('Unsupported schema keyword format at /properties/site');
+  expect(() => webSocketRouterInstance.beforeSend('/artist').schema({ $ref: '#/definitions/artist' })).toThrow('Unsupported schema keyword $ref at /');
+  expect(() => webSocketRouterInstance.on('/artist', () => {}).schema({ if: { type: 'string' }, then: { minLength: 1 } })).toThrow('Unsupported schema keyword if');
+
+  expect(validate({ type: 'array', uniqueItems: true }, [1, 2, 1])).toEqual(['should not have duplicate items']);
+  expect(validate({ type: 'object', minProperties: 1, maxProperties: 1 }, {})).toEqual(['should have at least 1 properties']);
+  expect(validate({ patternProperties: { '^x-': { type: 'string' } }, additionalProperties: false }, { 'x-id': 1 })).toEqual(['should be string']);
+});
+
+test('Should apply the filter operators on nested paths', () => {
+  const data = { price: 150, region: 'EU', owner: { id: 7, name: 'Eddie' }, tags: ['rock', 'grunge'] };
+  const applies = filters => webSocketRouterInstance.applyFilters(data, filters);
+
+  expect(applies({ price: { $gt: 100 }, region: { $in: ['EU', 'US'] } })).toBe(true);
+  expect(() => applies({ region: { $in: 'EU' } })).toThrow('Invalid filter: $in should be an array');
+  expect(() => applies({ price: { $gt: {} } })).toThrow('$gt should be a number or a string');
+  expect(() => webSocketRouterInstance.on('/product', () => {}).filters({ price: { $bogus: 1 } })).toThrow('Unknown filter operator $bogus');
+
+  const router = new WebSocketRouter();
+  const handler = jest.fn();
+
+  router.on('/artist', handler).filters({ name: 'Pearl *', genre: { $regex: '^grunge' } });
+
+  const routify = jest.spyOn(router, 'routify');
+  router.dispatch({ route: '/artist', data: { name: 'Pearl Jam', genre: 'grunge' } });
+  router.dispatch({ route: '/artist', data: { name: 'Nirvana', genre: 'grunge' } });
+
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(routify).not.toHaveBeenCalled();
+  expect(applies({ price: { $gt: 100, $lte: 120 } })).toBe(false);
+  expect(applies({ 'owner.id': 7, owner: { name: 'Ed*' } })).toBe(true);
+  expect(applies({ 'owner.id': 8, owner: { name: 'Ed*' } })).toBe(false);
+  expect(applies({ 'owner.id': '7', 'owner.name': /^Ed/ })).toBe(true);
+  expect(applies({ tags: 'grunge', region: ['US', 'EU'] })).toBe(true);
+  expect(applies({ tags: { $nin: ['pop'] }, 'owner.email': { $exists: false } })).toBe(true);
+  expect(applies({ 'owner.name': { $regex: 'die$' }, price: price => price % 50 === 0 })).toBe(true);
+  expect(applies({ $or: [{ region: 'US' }, { price: { $lt: 200 } }] })).toBe(true);
+});
+
+test('Should match the values of the messages against the string filters', () => {
+  const handler = jest.fn();
+  const router = new WebSocketRouter();
+
+  router.on('/artist', handler).filters({ name: 'Pearl Jam' });
+  router.dispatch({ route: '/artist', data: { name: '*' } });
+  router.dispatch({ route: '/artist', data: { name: 'Pearl *' } });
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(webSocketRouterInstance.applyFilters({ name: 'Pearl Jam' }, { name: '*' })).toBe(true);
+  expect(webSocketRouterInstance.applyFilters({ name: 'Pearl Jam' }, { name: 'Pearl *' })).toBe(true);
+});
+
+test('Should treat missing keys as non-matches', () => {
+  const handler = jest.fn();
+
+  webSocketRouterInstance.update('/price', handler, { 'owner.id': 1, currency: 'EUR' });
+  webSocketRouterInstance.dispatch({ route: '/price', action: 'UPDATE', data: { owner: { id: 1 } } });
+  webSocketRouterInstance.dispatch({ route: '/price', action: 'UPDATE', data: { owner: { id: 1 }, currency: 'EUR' } });
+
+  expect(handler).toHaveBeenCalledTimes(1);
+  expect(webSocketRouterInstance.applyFilters({}, { 'a.b.c': { $ne: 1 } })).toBe(true);
+});
+
+test('Should handle the errors of a route sent by the server', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const artistErrors = jest.fn();
+  const allErrors = jest.fn();
+  const error = { code: 'NOT_FOUND', message: 'Artist not found', route: '/artist/7', action: 'UPDATE' };
+
+  router.onError('/artist/:id', artistErrors);
+  router.onError(allErrors);
+
+  router.dispatch({ route: '/socket/error', data: error });
+  router.dispatch({ route: '/socket/error', data: Object.assign({}, error, { route: '/album/7' }) });
+
+  expect(artistErrors.mock.calls.map(call => call[0])).toEqual([error]);
+  expect(allErrors).toHaveBeenCalledTimes(2);
+});
+
+test('Should send the acknowledged messages again until the server acknowledges them', () => {
+  jest.useFakeTimers();
+
+  const router = new WebSocketRouter('ws://localhost:8080', null, { ack: { timeout: 100, maxAttempts: 4 } });
+  const sent = send.mock.calls.length;
+  const acknowledged = jest.fn();
+  const failed = jest.fn();
+
+  router.message({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true }).then(acknowledged);
+  router.message({ route: '/order', action: 'DELETE', data: { id: 2 }, ack: true }).catch(failed);
+  expect(send.mock.calls.length).toBe(sent);
+
+  router.connection.connection.onopen();
+  const order = JSON.parse(send.mock.calls[sent][0]);
+  expect(order).toEqual({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true, id: order.id });
+
+  return router.connection.flushing.then(() => {
+
+    // The connection drops before the acknowledgement arrives
+    router.connection.connection.onclose({ code: 1006, reason: '' });
+    jest.advanceTimersByTime(100);
+    expect(send.mock.calls.length).toBe(sent + 2);
+
+    router.connection.connection.onopen();
+    expect(JSON.parse(send.mock.calls[sent + 2][0])).toEqual(order);
+
+    return router.connection.flushing;
+  }).then(() => {
+    router.dispatch({ route: '/socket/ack', data: { id: order.id } });
+    jest.advanceTimersByTime(1000);
+  }).then(() => {
+    expect(acknowledged).toHaveBeenCalledTimes(1);
+    expect(failed.mock.calls[0][0].code).toBe('ACK_TIMEOUT');
+    expect(send.mock.calls.slice(sent).filter(call => JSON.parse(call[0]).id == order.id).length).toBe(2);
+    jest.useRealTimers();
+  });
+});
+
+test('Should only count the attempts written while the connection is open', () => {
+  jest.useFakeTimers();
+
+  const router = new WebSocketRouter('ws://localhost:8080', null, { ack: { timeout: 100, maxAttempts: 2 } });
+  const sent = send.mock.calls.length;
+  const failed = jest.fn();
+
+  router.message({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true }).catch(failed);
+
+  // Waiting for the connection does not use up the attempts
+  jest.advanceTimersByTime(1000);
+  router.connection.connection.onopen();
+  const order = JSON.parse(send.mock.calls[sent][0]);
+
+  return router.connection.flushing.then(() => {
+    router.connection.connection.onclose({ code: 1006, reason: '' });
+    jest.advanceTimersByTime(1000);
+    router.connection.connection.onopen();
+    router.dispatch({ route: '/socket/ack', data: { id: order.id } });
+  }).then(() => {
+    expect(failed).not.toHaveBeenCalled();
+    expect(send.mock.calls.slice(sent).filter(call => JSON.parse(call[0]).id == order.id).length).toBe(2);
+    jest.useRealTimers();
+  });
+});
+
+test('Should acknowledge the messages and run their handlers only once', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const handler = jest.fn();
+  const sent = send.mock.calls.length;
+
+  router.create('/order', handler);
+
+  return router.dispatch({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true, id: 'a:1' }).then(() => {
+    return router.dispatch({ route: '/order', action: 'CREATE', data: { id: 1 }, ack: true, id: 'a:1' });
+  }).then(() => {
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls.slice(sent).map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/socket/ack', data: { id: 'a:1' } },
+      { route: '/socket/ack', data: { id: 'a:1' } }
+    ]);
+  });
+});
+
+test('Should send the credentials on every connection', () => {
+  jest.useFakeTimers();
+
+  let token = 0;
+  const router = new WebSocketRouter('ws://localhost:8080', null, { auth: () => ({ token: ++token }) });
+  const authenticated = jest.fn();
+  const sent = send.mock.calls.length;
+
+  router.on('$authenticated', authenticated);
+  router.connection.connection.onopen();
+  router.connection.connection.onclose({ code: 1006, reason: '' });
+  jest.runOnlyPendingTimers();
+  router.connection.connection.onopen();
+  router.connection.dispatch({ data: JSON.stringify({ route: '/socket/auth', data: { authenticated: true } }) });
+
+  expect(send.mock.calls.slice(sent).map(call => JSON.parse(call[0]))).toEqual([
+    { route: '/socket/auth', data: { token: 1 } },
+    { route: '/socket/auth', data: { token: 2 } }
+  ]);
+  expect(authenticated.mock.calls[0][0]).toEqual({ authenticated: true });
+
+  jest.useRealTimers();
+});
+
+test('Should keep the messages in the outbox until the credentials are accepted', () => {
+  let resolve;
+  const router = new WebSocketRouter('ws://localhost:8080', null, { auth: () => new Promise(done => { resolve = done; }) });
+  const sent = send.mock.calls.length;
+  const flush = () => new Promise(done => setImmediate(done));
+
+  router.message({ route: '/artist', action: 'CREATE', data: { id: 1 } });
+  router.connection.connection.onopen();
+  router.message({ route: '/artist', action: 'CREATE', data: { id: 2 } });
+  resolve({ token: 'secret' });
+
+  return flush().then(() => {
+    expect(send.mock.calls.slice(sent).map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/socket/auth', data: { token: 'secret' } }
+    ]);
+
+    router.connection.dispatch({ data: JSON.stringify({ route: '/socket/auth', error: { code: 'UNAUTHENTICATED' } }) });
+    expect(send.mock.calls.length).toBe(sent + 1);
+
+    router.connection.dispatch({ data: JSON.stringify({ route: '/socket/auth', data: { authenticated: true } }) });
+
+    return router.connection.flushing;
+  }).then(() => {
+    expect(send.mock.calls.slice(sent + 1).map(call => JSON.parse(call[0]))).toEqual([
+      { route: '/artist', action: 'CREATE', data: { id: 1 } },
+      { route: '/artist', action: 'CREATE', data: { id: 2 } }
+    ]);
+  });
+});
+
+test('Should dispatch the messages under a prefix to the mounted router', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const admin = new WebSocketRouter();
+  const calls = [];
+  const sent = send.mock.calls.length;
+
+  admin.intercept('/users/*', (data, context) => calls.push('admin interceptor ' + context.route));
+  admin.on('/', () => calls.push('admin root'));
+  admin.update('/users/:id', (data, context) => calls.push('admin handler ' + context.params.tenant + ' ' + context.params.id));
+  admin.beforeSend('/users/*', message => { message.data.signed = true; });
+  router.on('/:tenant/admin/users/:id', () => calls.push('router handler'));
+  router.on('/artist', () => calls.push('artist'));
+
+  // The mounted router can be used on its own
+  admin.dispatch({ route: '/users/7', action: 'UPDATE' });
+  expect(calls).toEqual(['admin interceptor /users/7', 'admin handler undefined 7']);
+
+  calls.length = 0;
+  router.use('/:tenant/admin/', admin);
+  router.dispatch({ route: '/acme/admin/users/7', action: 'UPDATE' });
+  router.dispatch({ route: '/acme/admin', action: 'UPDATE' });
+  router.dispatch({ route: '/users/7', action: 'UPDATE' });
+  router.dispatch({ route: '/artist', action: 'UPDATE' });
+  router.message({ route: '/acme/admin/users/7', data: {} });
+
+  expect(calls).toEqual([
+    'router handler', 'admin interceptor /acme/admin/users/7', 'admin handler acme 7',
+    'admin root',
+    'artist'
+  ]);
+  expect(JSON.parse(send.mock.calls[sent][0]).data).toEqual({ signed: true });
+});
+
+test('Should match globstars, optional parameters and regular expressions', () => {
+  const router = new WebSocketRouter();
+  const calls = [];
+
+  // Named groups are only parsed by the engines supporting them
+  let named = true;
+
+  try {
+    new RegExp('(?<resource>\\w+)');
+  } catch (e) {
+    named = false;
+  }
+
+  router.intercept('/admin/**', (data, context) => calls.push('** ' + context.route));
+  router.on('/artist/:id?', (data, context) => calls.push('optional ' + context.params.id));
+  router.on(new RegExp(named ? '^\\/v(\\d+)\\/(?<resource>\\w+)$' : '^\\/v(\\d+)\\/(\\w+)$', 'g'), (data, context) => calls.push('regex ' + context.params[1] + ' ' + (named ? context.params.resource : context.params[2])));
+  router.beforeSend(/^\/admin\//, message => calls.push('hook ' + message.route));
+  router.on('**', (data, context) => calls.push('all ' + context.route));
+
+  router.dispatch({ route: '/admin' });
+  router.dispatch({ route: '/admin/users/7' });
+  router.dispatch({ route: '/artist' });
+  router.dispatch({ route: '/artist/7' });
+  router.dispatch({ route: '/v2/users' });
+  router.dispatch({ route: '/v3/users' });
+  router.dispatch({ route: '$open' });
+  router.message({ route: '/admin/users' });
+
+  expect(calls).toEqual([
+    '** /admin', 'all /admin',
+    '** /admin/users/7', 'all /admin/users/7',
+    'optional undefined', 'all /artist',
+    'optional 7', 'all /artist/7',
+    'regex 2 users', 'all /v2/users',
+    'regex 3 users', 'all /v3/users',
+    'hook /admin/users'
+  ]);
+
+  // Equal regular expressions remove the routes registered with them,
+  // Other sources or flags do not
+  router.off(/^\/admin\//);
+  router.off(/^\/v(\d+)\/(\w+)$/);
+  router.message({ route: '/admin/users' });
+  router.dispatch({ route: '/v4/users' });
+  expect(calls.slice(13)).toEqual(['regex 4 users', 'all /v4/users']);
+});
+
+test('Should order the listeners by phase, priority and named relationships', () => {
+  const router = new WebSocketRouter();
+  const calls = [];
+  const listener = name => () => calls.push(name);
+
+  router.on('/artist', listener('last')).executeLast();
+  router.on('/artist', listener('low')).priority(-1);
+  router.on('/artist', listener('default'));
+  router.on('/artist', listener('high')).priority(10);
+  router.on('/artist', listener('first')).as('first').executeFirst();
+  router.on('/artist', listener('audit')).as('audit').after('auth');
+  router.on('/artist', listener('auth')).as('auth').before('first').priority(-5);
+
+  expect(router.lastEvents.length).toBe(1);
+
+  router.dispatch({ route: '/artist', action: 'UPDATE' });
+  expect(calls).toEqual(['auth', 'first', 'high', 'default', 'audit', 'low', 'last']);
+
+  expect(router.executionPlan('/artist', 'UPDATE').map(step => [step.id, step.phase, step.priority])).toEqual([
+    ['auth', 'default', -5], ['first', 'first', 0], [undefined, 'default', 10], [undefined, 'default', 0],
+    ['audit', 'default', 0], [undefined, 'default', -1], [undefined, 'last', 0]
+  ]);
+});
+
+test('Should run the listeners that have to run before each other as they are reached', () => {
+  const router = new WebSocketRouter();
+  const calls = [];
+
+  router.on('/artist', () => calls.push('a')).as('a').after('b');
+  router.on('/artist', () => calls.push('b')).as('b').after('a');
+  router.on('/artist', () => calls.push('c')).before('a');
+
+  router.dispatch({ route: '/artist' });
+  router.dispatch({ route: '/artist' });
+
+  expect(calls).toEqual(['b', 'c', 'a', 'b', 'c', 'a']);
+});
+
+test('Should list the routes and explain why listeners run or are skipped', () => {
+  const router = new WebSocketRouter();
+  const admin = new WebSocketRouter();
+
+  function isAdmin() {}
+  function updateArtist() {}
+  function listArtists() {}
+  function stamp() {}
+  function removeUser() {}
+
+  router.intercept('/artist/**', isAdmin).as('admin').executeFirst();
+  router.update('/artist/:id', updateArtist, { name: { $exists: true } }).priority(5);
+  router.on('/artist', listArtists);
+  router.beforeSend('/artist', stamp).once();
+  router.guard('/artist/**', ['admin']);
+  admin.delete('/users/:id', removeUser);
+  router.use('/admin', admin);
+
+  expect(router.routes()).toEqual([
+    { type: 'interceptor', id: 'admin', route: '/artist/**', action: '*', filters: undefined, priority: 0, phase: 'first', guarded: false, once: false, handlers: ['isAdmin'] },
+    { type: 'listener', id: undefined, route: '/artist/:id', action: 'UPDATE', filters: { name: { $exists: true } }, priority: 5, phase: 'default', guarded: false, once: false, handlers: ['updateArtist'] },
+    { type: 'listener', id: undefined, route: '/artist', action: '*', filters: undefined, priority: 0, phase: 'default', guarded: false, once: false, handlers: ['listArtists'] },
+    { type: 'beforeSend', route: '/artist', handlers: ['stamp'], once: true },
+    { type: 'listener', id: undefined, route: '/users/:id', action: 'DELETE', filters: undefined, priority: 0, phase: 'default', guarded: false, once: false, handlers: ['removeUser'], prefix: '/admin' }
+  ]);
+
+  const explained = router.explain({ route: '/artist/1', action: 'UPDATE', data: { id: 1 } });
+
+  expect(explained.guards).toBe(1);
+  expect(explained.run.map(entry => [entry.handlers[0], entry.params])).toEqual([['isAdmin', {}]]);
+  expect(explained.skipped.map(entry => [entry.handlers[0], entry.reason, entry.prefix])).toEqual([
+    ['updateArtist', 'filters', undefined], ['listArtists', 'route', undefined], ['removeUser', 'route', '/admin']
+  ]);
+
+  expect(router.explain({ route: '/admin/users/7', action: 'DELETE' }).run).toEqual([
+    { type: 'listener', id: undefined, route: '/users/:id', action: 'DELETE', filters: undefined, priority: 0, phase: 'default', guarded: false, once: false, handlers: ['removeUser'], prefix: '/admin', params: { id: '7' } }
+  ]);
+
+  expect(router.explain({ route: '/artist/1', action: 'CREATE' }).skipped[0].reason).toBe('action');
+});
+
+test('Should iterate the chunks of a streamed reply in sequence, asking for more as they are consumed', () => {
+  const sent = send.mock.calls.length;
+  const rows = webSocketRouterInstance.stream('/rows', { table: 'artists' }, { highWaterMark: 2 });
+  const request = JSON.parse(send.mock.calls[sent][0]);
+  const reply = frame => webSocketRouterInstance.dispatch(Object.assign({ route: '/rows', action: 'REQUEST', replyTo: request.id }, frame));
+
+  expect(request).toEqual({ route: '/rows', action: 'REQUEST', id: request.id, data: { table: 'artists' }, credit: 2 });
+  expect(rows[Symbol.asyncIterator]()).toBe(rows);
+
+  reply({ seq: 1, data: 'Pearl Jam' });
+  reply({ seq: 0, data: 'Nirvana' });
+
+  return rows.next().then(chunk => {
+    expect(chunk).toEqual({ value: 'Nirvana', done: false });
+    expect(JSON.parse(send.mock.calls[sent + 1][0])).toEqual({ route: '/socket/stream', data: { id: request.id, credit: 1 } });
+
+    return rows.next();
+  }).then(chunk => {
+    expect(chunk).toEqual({ value: 'Pearl Jam', done: false });
+
+    const next = rows.next();
+    reply({ seq: 2, end: true });
+
+    return next;
+  }).then(chunk => {
+    expect(chunk).toEqual({ value: undefined, done: true });
+    expect(webSocketRouterInstance.pendingCalls[request.id]).toBeUndefined();
+  });
+});
+
+test('Should fail a streamed reply with the error of the peer and cancel it when the iteration stops', () => {
+  const sent = send.mock.calls.length;
+  const failing = webSocketRouterInstance.stream('/rows', {});
+  const cancelled = webSocketRouterInstance.stream('/rows', {});
+  const first = JSON.parse(send.mock.calls[sent][0]);
+  const second = JSON.parse(send.mock.calls[sent + 1][0]);
+
+  webSocketRouterInstance.dispatch({ route: '/rows', action: 'REQUEST', replyTo: first.id, seq: 0, data: 1 });
+  webSocketRouterInstance.dispatch({ route: '/rows', action: 'REQUEST', replyTo: first.id, seq: 1, error: { message: 'Cursor closed', code: 'INTERNAL_ERROR' } });
+
+  return failing.next().then(chunk => {
+    expect(chunk.value).toBe(1);
+
+    return expect(failing.next()).rejects.toMatchObject({ message: 'Cursor closed', code: 'INTERNAL_ERROR' });
+  }).then(() => cancelled.return()).then(chunk => {
+    expect(chunk.done).toBe(true);
+    expect(JSON.parse(send.mock.calls[sent + 2][0])).toEqual({ route: '/socket/stream', data: { id: second.id, cancel: true } });
+  });
+});
+
+test('Should fail a streamed reply when a frame is out of sequence', () => {
+  const sent = send.mock.calls.length;
+  const ahead = webSocketRouterInstance.stream('/rows', {}, { highWaterMark: 2 });
+  const fractional = webSocketRouterInstance.stream('/rows', {}, { highWaterMark: 2 });
+  const first = JSON.parse(send.mock.calls[sent][0]);
+  const second = JSON.parse(send.mock.calls[sent + 1][0]);
+
+  webSocketRouterInstance.dispatch({ route: '/rows', action: 'REQUEST', replyTo: first.id, seq: 1000000, data: 1 });
+  webSocketRouterInstance.dispatch({ route: '/rows', action: 'REQUEST', replyTo: second.id, seq: 0.5, data: 1 });
+
+  expect(webSocketRouterInstance.pendingCalls[first.id]).toBeUndefined();
+  expect(JSON.parse(send.mock.calls[sent + 2][0])).toEqual({ route: '/socket/stream', data: { id: first.id, cancel: true } });
+
+  return expect(ahead.next()).rejects.toMatchObject({ code: 'STREAM_OUT_OF_SEQUENCE' })
+    .then(() => expect(fractional.next()).rejects.toMatchObject({ code: 'STREAM_OUT_OF_SEQUENCE' }));
+});
+
+test('Should dispatch $error instead of the messages with an invalid envelope', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const handler = jest.fn();
+  const errors = [];
+
+  router.on('/rows', handler);
+  router.on('$error', error => errors.push(error.code));
+  router.connection.dispatch({ data: '{"route": "/rows", ' });
+  router.connection.dispatch({ data: JSON.stringify({ route: '/rows', replyTo: 1, seq: 1.5 }) });
+  router.connection.dispatch({ data: JSON.stringify({ route: '/rows', action: 'REQUEST', id: 1, credit: -1 }) });
+
+  expect(handler).not.toHaveBeenCalled();
+  expect(errors).toEqual([undefined, 'INVALID_ENVELOPE', 'INVALID_ENVELOPE']);
+});
+
+test('Should stop the streams replying to the server when the connection is closed', () => {
+  const router = new WebSocketRouter('ws://localhost:8080');
+  const results = [];
+
+  router.request('/rows', (query, context) => {
+    const stream = context.stream();
+
+    stream.write(1).then(() => results.push('sent'), error => results.push(error.code));
+    stream.write(2).then(() => results.push('sent'), error => results.push(error.code));
+  });
+
+  router.connection.connection.onopen();
+  router.connection.dispatch({ data: JSON.stringify({ route: '/rows', action: 'REQUEST', id: 1, data: {}, credit: 1 }) });
+  router.connection.connection.onclose({ code: 1006, reason: '' });
+
+  return new Promise(resolve => setImmediate(resolve)).then(() => {
+    expect(results).toEqual(['sent', 'STREAM_CANCELLED']);
+    expect(Object.keys(router.streams)).toEqual([]);
+  });
+});
+
+test('Should gather the chunks of a streamed reply to a call', () => {
+  const sent = send.mock.calls.length;
+  const call = webSocketRouterInstance.call('/rows', {});
+  const request = JSON.parse(send.mock.calls[sent][0]);
+
+  webSocketRouterInstance.dispatch({ route: '/rows', replyTo: request.id, seq: 1, data: 'b' });
+  webSocketRouterInstance.dispatch({ route: '/rows', replyTo: request.id, seq: 0, data: 'a' });
+  webSocketRouterInstance.dispatch({ route: '/rows', replyTo: request.id, seq: 2, end: true });
+
+  return expect(call).resolves.toEqual(['a', 'b']);
+});
+
+test('Should stream the reply to a request while the caller has credit for it', () => {
+  const sent = send.mock.calls.length;
+  const frames = () => send.mock.calls.slice(sent).map(call => JSON.parse(call[0]));
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  webSocketRouterInstance.request('/tracks', (album, context) => {
+    const stream = context.stream();
+
+    return stream.write('Once').then(() => stream.write('Even Flow')).then(() => stream.end());
+  });
+
+  webSocketRouterInstance.dispatch({ route: '/tracks', action: 'REQUEST', id: 11, data: {}, credit: 1 });
+
+  return flush().then(() => {
+    expect(frames()).toEqual([{ route: '/tracks', action: 'REQUEST', replyTo: 11, seq: 0, data: 'Once' }]);
+
+    webSocketRouterInstance.dispatch({ route: '/socket/stream', data: { id: 11, credit: 1 } });
+
+    return flush();
+  }).then(() => {
+    expect(frames().slice(1)).toEqual([
+      { route: '/tracks', action: 'REQUEST', replyTo: 11, seq: 1, data: 'Even Flow' },
+      { route: '/tracks', action: 'REQUEST', replyTo: 11, seq: 2, end: true }
+    ]);
+    expect(webSocketRouterInstance.streams[11]).toBeUndefined();
+  });
+});